@@ -50,6 +50,52 @@ class Vec2 {
         return new Vec2(-this.y, this.x);
     }
 
+    clone() {
+        return new Vec2(this.x, this.y);
+    }
+
+    // In-place variants for the engine's hot path: they modify this vector and return it,
+    // so a step does not allocate a new vector per operation
+
+    set(x, y) {
+        this.x = x;
+        this.y = y;
+        return this;
+    }
+
+    copy(v) {
+        this.x = v.x;
+        this.y = v.y;
+        return this;
+    }
+
+    addSelf(v) {
+        this.x += v.x;
+        this.y += v.y;
+        return this;
+    }
+
+    subSelf(v) {
+        this.x -= v.x;
+        this.y -= v.y;
+        return this;
+    }
+
+    mulSelf(s) {
+        this.x *= s;
+        this.y *= s;
+        return this;
+    }
+
+    /**
+     * this += v * s (same rounding as this.add(v.mul(s)))
+     */
+    addScaledSelf(v, s) {
+        this.x += v.x * s;
+        this.y += v.y * s;
+        return this;
+    }
+
     static distance(a, b) {
         const dx = b.x - a.x;
         const dy = b.y - a.y;
@@ -57,19 +103,73 @@ class Vec2 {
     }
 }
 
+class SeededRandom {
+    /**
+     * Seedable pseudo-random number generator (Mulberry32)
+     * Same seed always yields the same sequence, on every platform,
+     * which makes drops reproducible bit-for-bit with the fixed timestep
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next unsigned 32-bit integer in the sequence
+     */
+    nextUint32() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return (t ^ (t >>> 14)) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1), drop-in replacement for Math.random()
+     */
+    next() {
+        return this.nextUint32() / 4294967296;
+    }
+
+    /**
+     * Next float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Fresh seed from the platform entropy source (not reproducible by design)
+     */
+    static generateSeed() {
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            return crypto.getRandomValues(new Uint32Array(1))[0];
+        }
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+}
+
+// Category and mask are 32-bit fields: by default a body is in category 1 and collides with all
+const DEFAULT_COLLISION_FILTER = { group: 0, category: 0x0001, mask: 0xFFFFFFFF };
+const QUERY_ALL = 0xFFFFFFFF;  // Query mask matching every category
+
+const MOTION_TYPES = ['oscillate', 'swing', 'rotate'];
+const FORCE_ZONE_TYPES = ['wind', 'magnet', 'slow'];
+
 class RigidBody {
     /**
      * Represents a rigid body with position, velocity, and physical properties
      * State vector: {position, velocity, angle, angularVelocity}
      */
     constructor(shape, x, y, options = {}) {
-        // Shape: 'circle' or 'rectangle'
+        // Shape: 'circle', 'rectangle' (oriented box) or 'polygon' (convex)
         this.shape = shape;
         
         // State variables
         this.position = new Vec2(x, y);
         this.velocity = new Vec2(0, 0);
-        this.angle = 0;
+        this.angle = options.angle || 0;
         this.angularVelocity = 0;
         
         // Physical properties
@@ -81,6 +181,24 @@ class RigidBody {
         this.restitution = options.restitution !== undefined ? options.restitution : 0.7;
         this.friction = options.friction !== undefined ? options.friction : 0.08;
         this.frictionAir = options.frictionAir !== undefined ? options.frictionAir : 0.005;
+        // Material name, looked up in the engine's pair table (PhysicsEngine.setMaterialPair)
+        this.material = options.material || null;
+        
+        // Local-space outline for boxes and polygons (centroid at the origin)
+        // Polygon vertices are given relative to (x, y); the body is re-centred on the centroid
+        this.vertices = null;
+        if (shape === 'rectangle') {
+            const halfW = this.width / 2;
+            const halfH = this.height / 2;
+            this.vertices = [
+                new Vec2(-halfW, -halfH), new Vec2(halfW, -halfH),
+                new Vec2(halfW, halfH), new Vec2(-halfW, halfH)
+            ];
+        } else if (shape === 'polygon') {
+            const polygon = RigidBody.preparePolygon(options.vertices || []);
+            this.vertices = polygon.vertices;
+            this.position = this.position.add(polygon.centroid);
+        }
         
         // Calculate mass based on density if not explicitly set
         if (options.density && !options.mass) {
@@ -90,12 +208,16 @@ class RigidBody {
             } else if (shape === 'rectangle') {
                 const area = this.width * this.height;
                 this.mass = area * this.density;
+            } else if (shape === 'polygon') {
+                this.mass = RigidBody.polygonArea(this.vertices) * this.density;
             }
         }
         
         // Moment of inertia (resistance to rotation)
         if (shape === 'circle') {
             this.inertia = 0.5 * this.mass * this.radius * this.radius;
+        } else if (shape === 'polygon') {
+            this.inertia = RigidBody.polygonInertia(this.vertices, this.mass);
         } else {
             this.inertia = (this.mass * (this.width * this.width + this.height * this.height)) / 12;
         }
@@ -103,6 +225,31 @@ class RigidBody {
         // Static bodies don't move
         this.isStatic = options.isStatic || false;
         this.isSensor = options.isSensor || false;
+
+        // Kinematic bodies move on their own, along a scripted `motion` or with the
+        // velocities they are given, and push dynamic bodies without being pushed back
+        // Motions (relative to the pose at creation, time = step clock in seconds):
+        //   { type: 'oscillate', dx, dy, period, phase }  position += (dx, dy) × sin(2π(t / period + phase))
+        //   { type: 'swing', amplitude, period, phase }   angle += amplitude × sin(...)
+        //   { type: 'rotate', speed }                     angle += speed × t (radians/s)
+        this.motion = options.motion || null;
+        if (this.motion && !MOTION_TYPES.includes(this.motion.type)) {
+            throw new Error(`Unknown motion type: ${this.motion.type}`);
+        }
+        this.isKinematic = options.isKinematic || this.motion !== null;
+        this.origin = this.motion ? { x: this.position.x, y: this.position.y, angle: this.angle } : null;
+
+        // Force zone: pushes the bodies it touches (usually on a sensor, see PhysicsEngine.applyForceZone)
+        this.forceZone = options.forceZone || null;
+        if (this.forceZone && !FORCE_ZONE_TYPES.includes(this.forceZone.type)) {
+            throw new Error(`Unknown force zone type: ${this.forceZone.type}`);
+        }
+        this.force = new Vec2(0, 0);  // Accumulated by applyForce() until the next step
+
+        // Sleeping: a resting dynamic body is frozen until something hits it
+        this.isSleeping = false;
+        this.sleepCounter = 0;  // Consecutive slow steps
+        this.contactCount = 0;  // Solid contacts in the last step
         
         // Label and custom data
         this.label = options.label || '';
@@ -115,22 +262,187 @@ class RigidBody {
             lineWidth: 1
         };
         
-        // Collision filter
-        this.collisionFilter = options.collisionFilter || { group: 0 };
+        // Collision filter: bodies sharing a non-zero group always (positive) or never
+        // (negative) collide; otherwise each body's mask must include the other's category
+        this.collisionFilter = { ...DEFAULT_COLLISION_FILTER, ...options.collisionFilter };
         
         // Previous state for interpolation
-        this.prevPosition = new Vec2(x, y);
-        this.prevAngle = 0;
+        this.prevPosition = new Vec2(this.position.x, this.position.y);
+        this.prevAngle = this.angle;
+    }
+
+    /**
+     * Validate a convex outline, orient it consistently and centre it on its centroid
+     * Orientation: positive signed area, so the outward normal of edge (v1 → v2) is (e.y, -e.x)
+     * @param {Array<{x, y}>} points - At least 3 vertices of a convex polygon, either winding
+     * @returns {Object} { vertices: Vec2[] around the centroid, centroid: Vec2 offset }
+     */
+    static preparePolygon(points) {
+        if (points.length < 3) {
+            throw new Error('Polygon bodies need at least 3 vertices');
+        }
+
+        let vertices = points.map(p => new Vec2(p.x, p.y));
+        if (RigidBody.signedArea(vertices) < 0) {
+            vertices.reverse();
+        }
+
+        // Convex: every corner turns the same way
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const c = vertices[(i + 2) % vertices.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            if (cross < 0) {
+                throw new Error('Polygon bodies must be convex');
+            }
+        }
+
+        // Area-weighted centroid
+        const area = RigidBody.signedArea(vertices);
+        let cx = 0, cy = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const cross = a.x * b.y - b.x * a.y;
+            cx += (a.x + b.x) * cross;
+            cy += (a.y + b.y) * cross;
+        }
+        const centroid = new Vec2(cx / (6 * area), cy / (6 * area));
+
+        vertices = vertices.map(v => v.sub(centroid));
+        return { vertices, centroid };
+    }
+
+    /**
+     * Shoelace formula: positive for the orientation used by preparePolygon()
+     */
+    static signedArea(vertices) {
+        let sum = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            sum += a.x * b.y - b.x * a.y;
+        }
+        return sum / 2;
+    }
+
+    static polygonArea(vertices) {
+        return Math.abs(RigidBody.signedArea(vertices));
+    }
+
+    /**
+     * Moment of inertia of a uniform convex polygon about its centroid
+     * I = m * Σ cross_i (v_i·v_i + v_i·v_i+1 + v_i+1·v_i+1) / (6 Σ cross_i)
+     */
+    static polygonInertia(vertices, mass) {
+        let numerator = 0, denominator = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const a = vertices[i];
+            const b = vertices[(i + 1) % vertices.length];
+            const cross = Math.abs(a.x * b.y - b.x * a.y);
+            numerator += cross * (a.dot(a) + a.dot(b) + b.dot(b));
+            denominator += cross;
+        }
+        return mass * numerator / (6 * denominator);
+    }
+
+    /**
+     * Outline vertices in world space (rotated by angle, translated to position)
+     */
+    getWorldVertices() {
+        const cos = Math.cos(this.angle);
+        const sin = Math.sin(this.angle);
+        return this.vertices.map(v => new Vec2(
+            this.position.x + v.x * cos - v.y * sin,
+            this.position.y + v.x * sin + v.y * cos
+        ));
+    }
+
+    /**
+     * World-space vertices and outward face normals, recomputed only when the body has moved
+     * or turned (static bodies compute them once), into arrays the body keeps for its life.
+     * Shared by the narrow phase: treat as read-only, and copy what must outlive the next move
+     * @returns {Object} { vertices: Vec2[], normals: Vec2[] } (normal i belongs to edge i → i+1)
+     */
+    getWorldGeometry() {
+        let cache = this.worldGeometry;
+        if (cache && cache.x === this.position.x && cache.y === this.position.y && cache.angle === this.angle) {
+            return cache;
+        }
+        if (!cache) {
+            cache = this.worldGeometry = {
+                x: 0, y: 0, angle: 0,
+                vertices: this.vertices.map(() => new Vec2()),
+                normals: this.vertices.map(() => new Vec2())
+            };
+        }
+
+        const { vertices, normals } = cache;
+        const cos = Math.cos(this.angle);
+        const sin = Math.sin(this.angle);
+        for (let i = 0; i < vertices.length; i++) {
+            const v = this.vertices[i];
+            vertices[i].set(
+                this.position.x + v.x * cos - v.y * sin,
+                this.position.y + v.x * sin + v.y * cos
+            );
+        }
+        for (let i = 0; i < vertices.length; i++) {
+            const v1 = vertices[i];
+            const v2 = vertices[(i + 1) % vertices.length];
+            const nx = v2.y - v1.y;
+            const ny = v1.x - v2.x;
+            const length = Math.sqrt(nx * nx + ny * ny);
+            if (length > 0) {
+                normals[i].set(nx / length, ny / length);
+            } else {
+                normals[i].set(0, 0);
+            }
+        }
+        cache.x = this.position.x;
+        cache.y = this.position.y;
+        cache.angle = this.angle;
+        return cache;
+    }
+
+    /**
+     * Axis-aligned bounding box of the (possibly rotated) shape
+     * @param {Object} [out] - Receives the box (a new object by default)
+     * @returns {Object} out as { minX, minY, maxX, maxY }
+     */
+    getBounds(out = { minX: 0, minY: 0, maxX: 0, maxY: 0 }) {
+        if (this.shape === 'circle') {
+            out.minX = this.position.x - this.radius;
+            out.minY = this.position.y - this.radius;
+            out.maxX = this.position.x + this.radius;
+            out.maxY = this.position.y + this.radius;
+            return out;
+        }
+
+        const { vertices } = this.getWorldGeometry();
+        out.minX = Infinity;
+        out.minY = Infinity;
+        out.maxX = -Infinity;
+        out.maxY = -Infinity;
+        for (let i = 0; i < vertices.length; i++) {
+            const v = vertices[i];
+            out.minX = Math.min(out.minX, v.x);
+            out.minY = Math.min(out.minY, v.y);
+            out.maxX = Math.max(out.maxX, v.x);
+            out.maxY = Math.max(out.maxY, v.y);
+        }
+        return out;
     }
 
     /**
-     * Apply force to the body (adds to acceleration)
+     * Apply a force for the next step: the engine integrates the accumulated force
+     * with gravity (F = ma => Δv = F/m * dt) and then clears it
+     * Static, kinematic and sleeping bodies ignore forces
      */
     applyForce(force) {
-        if (this.isStatic) return;
-        // F = ma => a = F/m
-        const acceleration = force.mul(1 / this.mass);
-        this.velocity = this.velocity.add(acceleration);
+        if (this.isStatic || this.isKinematic) return;
+        this.force.addSelf(force);
     }
 
     /**
@@ -138,19 +450,35 @@ class RigidBody {
      * J = Δp = m * Δv => Δv = J/m
      */
     applyImpulse(impulse, contactPoint = null) {
-        if (this.isStatic) return;
+        if (this.isStatic || this.isKinematic) return;
         
         // Linear impulse
-        this.velocity = this.velocity.add(impulse.mul(1 / this.mass));
+        this.velocity.addScaledSelf(impulse, 1 / this.mass);
         
         // Angular impulse if contact point is provided
         if (contactPoint) {
-            const r = contactPoint.sub(this.position);
-            const torque = r.x * impulse.y - r.y * impulse.x; // 2D cross product
-            this.angularVelocity += torque / this.inertia;
+            this.applyAngularImpulse(impulse.x, impulse.y, contactPoint.x, contactPoint.y);
         }
     }
 
+    /**
+     * Impulse (ix, iy) at world point (px, py) without allocating (used by the solver)
+     */
+    applyImpulseAt(ix, iy, px, py) {
+        if (this.isStatic || this.isKinematic) return;
+        const invMass = 1 / this.mass;
+        this.velocity.x += ix * invMass;
+        this.velocity.y += iy * invMass;
+        this.applyAngularImpulse(ix, iy, px, py);
+    }
+
+    applyAngularImpulse(ix, iy, px, py) {
+        const rx = px - this.position.x;
+        const ry = py - this.position.y;
+        const torque = rx * iy - ry * ix; // 2D cross product
+        this.angularVelocity += torque / this.inertia;
+    }
+
     /**
      * Get velocity at a specific point on the body
      */
@@ -164,32 +492,136 @@ class RigidBody {
     }
 
     /**
-     * Check if a point is inside the body
-     * Note: Rectangle check assumes axis-aligned bounding box (no rotation support)
+     * Check if a point is inside the body (rotation aware)
      */
     containsPoint(point) {
         if (this.shape === 'circle') {
             return Vec2.distance(this.position, point) <= this.radius;
-        } else if (this.shape === 'rectangle') {
-            // Simple AABB check (axis-aligned, ignoring rotation)
-            // For rotated rectangles, a more complex check would be needed
-            const halfW = this.width / 2;
-            const halfH = this.height / 2;
-            return Math.abs(point.x - this.position.x) <= halfW &&
-                   Math.abs(point.y - this.position.y) <= halfH;
         }
-        return false;
+
+        // Convex outline: inside when the point is behind every edge
+        const world = this.getWorldVertices();
+        for (let i = 0; i < world.length; i++) {
+            const a = world[i];
+            const b = world[(i + 1) % world.length];
+            const outward = (b.y - a.y) * (point.x - a.x) - (b.x - a.x) * (point.y - a.y);
+            if (outward > 0) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Plain-data copy of the body, safe to pass through JSON
+     * plugin and render are deep-copied through JSON, so they must hold plain data
+     * @returns {Object} Body snapshot for RigidBody.fromSnapshot()
+     */
+    snapshot() {
+        return {
+            id: this.id,
+            shape: this.shape,
+            label: this.label,
+            position: { x: this.position.x, y: this.position.y },
+            velocity: { x: this.velocity.x, y: this.velocity.y },
+            angle: this.angle,
+            angularVelocity: this.angularVelocity,
+            prevPosition: { x: this.prevPosition.x, y: this.prevPosition.y },
+            prevAngle: this.prevAngle,
+            radius: this.radius,
+            width: this.width,
+            height: this.height,
+            vertices: this.vertices && this.vertices.map(v => ({ x: v.x, y: v.y })),
+            mass: this.mass,
+            inertia: this.inertia,
+            density: this.density,
+            restitution: this.restitution,
+            friction: this.friction,
+            frictionAir: this.frictionAir,
+            material: this.material,
+            isStatic: this.isStatic,
+            isSensor: this.isSensor,
+            isKinematic: this.isKinematic,
+            motion: this.motion && { ...this.motion },
+            origin: this.origin && { ...this.origin },
+            forceZone: this.forceZone && { ...this.forceZone },
+            force: { x: this.force.x, y: this.force.y },
+            isSleeping: this.isSleeping,
+            sleepCounter: this.sleepCounter,
+            collisionFilter: { ...this.collisionFilter },
+            plugin: JSON.parse(JSON.stringify(this.plugin)),
+            render: JSON.parse(JSON.stringify(this.render))
+        };
+    }
+
+    /**
+     * Rebuild a body from snapshot() data with exactly the saved state
+     * (derived values such as mass, inertia and the centred outline are restored,
+     * not recomputed, so no rounding creeps in)
+     * @param {Object} data - Body snapshot
+     * @returns {RigidBody} New body, keeping the saved id
+     */
+    static fromSnapshot(data) {
+        const body = new RigidBody(data.shape, data.position.x, data.position.y, {
+            radius: data.radius,
+            width: data.width,
+            height: data.height,
+            vertices: data.vertices,
+            label: data.label
+        });
+        body.id = data.id;
+        body.position.set(data.position.x, data.position.y);
+        body.velocity.set(data.velocity.x, data.velocity.y);
+        body.angle = data.angle;
+        body.angularVelocity = data.angularVelocity;
+        body.prevPosition.set(data.prevPosition.x, data.prevPosition.y);
+        body.prevAngle = data.prevAngle;
+        body.vertices = data.vertices && data.vertices.map(v => new Vec2(v.x, v.y));
+        body.mass = data.mass;
+        body.inertia = data.inertia;
+        body.density = data.density;
+        body.restitution = data.restitution;
+        body.friction = data.friction;
+        body.frictionAir = data.frictionAir;
+        body.material = data.material || null;
+        body.isStatic = data.isStatic;
+        body.isSensor = data.isSensor;
+        body.isKinematic = data.isKinematic;
+        body.motion = data.motion && { ...data.motion };
+        body.origin = data.origin && { ...data.origin };
+        body.forceZone = data.forceZone && { ...data.forceZone };
+        body.force.set(data.force.x, data.force.y);
+        body.isSleeping = data.isSleeping;
+        body.sleepCounter = data.sleepCounter;
+        body.collisionFilter = { ...DEFAULT_COLLISION_FILTER, ...data.collisionFilter };
+        body.plugin = JSON.parse(JSON.stringify(data.plugin));
+        body.render = JSON.parse(JSON.stringify(data.render));
+        return body;
     }
 }
 
+const PAIR_KEY_STRIDE = 2 ** 26;  // Integer pair key: lowId * stride + highId (ids below 2^26)
+
 class SpatialHash {
     /**
      * Spatial partitioning for efficient broad-phase collision detection
-     * Divides space into uniform grid cells and hashes them
+     * Divides space into uniform grid cells and hashes them.
+     * Static bodies live in a persistent layer built once by setStaticBodies();
+     * dynamic bodies are re-inserted every pass into the same cell arrays, so a
+     * step does not rebuild the grid or allocate pairs and keys.
      */
     constructor(cellSize = 50) {
         this.cellSize = cellSize;
-        this.cells = new Map();
+        this.cells = new Map();   // key → { x, y, statics: [], dynamics: [], stamp }
+        this.staticCells = [];    // Cells holding static bodies, in insertion order
+        this.dynamicCells = [];   // Cells touched by dynamic bodies this pass, in insertion order
+        this.stamp = 0;           // Pass counter; cell.dynamics is stale unless cell.stamp === stamp
+
+        // Reused between passes
+        this.pairs = [];          // First pairCount entries are this pass's pairs
+        this.pairCount = 0;
+        this.pairKeys = new Set();
+        this.queryFound = new Set();
+        this.queryResult = [];
+        this.bodyBounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };  // insert()'s box of a rotated body
     }
 
     /**
@@ -217,109 +649,218 @@ class SpatialHash {
     }
 
     /**
-     * Insert a body into the spatial hash
+     * Cell for a key, created on first use (at cell coordinates x, y) and kept for
+     * the life of the hash
      */
-    insert(body) {
-        const cells = this.getCellsForBody(body);
-        cells.forEach(key => {
-            if (!this.cells.has(key)) {
-                this.cells.set(key, []);
-            }
-            this.cells.get(key).push(body);
-        });
+    getCell(key, x, y) {
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = { x, y, statics: [], dynamics: [], stamp: -1 };
+            this.cells.set(key, cell);
+        }
+        return cell;
     }
 
     /**
-     * Get all cells that a body occupies
+     * Rebuild the persistent layer from the given static bodies
      */
-    getCellsForBody(body) {
-        const keys = new Set();
-        
+    setStaticBodies(bodies) {
+        this.staticCells.forEach(cell => { cell.statics.length = 0; });
+        this.staticCells.length = 0;
+        bodies.forEach(body => this.insert(body));
+    }
+
+    /**
+     * Insert a body: static bodies into the persistent layer, dynamic ones for this pass
+     */
+    insert(body) {
         // Ensure body has a valid ID (should be set by addBody)
         if (body.id === undefined) {
             console.warn('Body without ID in spatial hash');
-            return Array.from(keys);
+            return;
         }
-        
+
+        // Rotation-aware bounds, so tilted boxes and polygons land in every cell they touch
+        let minX, minY, maxX, maxY;
         if (body.shape === 'circle') {
-            // Get bounding box of circle
-            const minX = body.position.x - body.radius;
-            const maxX = body.position.x + body.radius;
-            const minY = body.position.y - body.radius;
-            const maxY = body.position.y + body.radius;
-            
-            const minCell = this.getCellCoords(minX, minY);
-            const maxCell = this.getCellCoords(maxX, maxY);
-            
-            for (let x = minCell.x; x <= maxCell.x; x++) {
-                for (let y = minCell.y; y <= maxCell.y; y++) {
-                    keys.add(this.hashKey(x, y));
-                }
-            }
-        } else if (body.shape === 'rectangle') {
-            const halfW = body.width / 2;
-            const halfH = body.height / 2;
-            const minX = body.position.x - halfW;
-            const maxX = body.position.x + halfW;
-            const minY = body.position.y - halfH;
-            const maxY = body.position.y + halfH;
-            
-            const minCell = this.getCellCoords(minX, minY);
-            const maxCell = this.getCellCoords(maxX, maxY);
-            
-            for (let x = minCell.x; x <= maxCell.x; x++) {
-                for (let y = minCell.y; y <= maxCell.y; y++) {
-                    keys.add(this.hashKey(x, y));
+            minX = body.position.x - body.radius;
+            minY = body.position.y - body.radius;
+            maxX = body.position.x + body.radius;
+            maxY = body.position.y + body.radius;
+        } else {
+            ({ minX, minY, maxX, maxY } = body.getBounds(this.bodyBounds));
+        }
+        const minCellX = Math.floor(minX / this.cellSize);
+        const minCellY = Math.floor(minY / this.cellSize);
+        const maxCellX = Math.floor(maxX / this.cellSize);
+        const maxCellY = Math.floor(maxY / this.cellSize);
+
+        for (let x = minCellX; x <= maxCellX; x++) {
+            for (let y = minCellY; y <= maxCellY; y++) {
+                const cell = this.getCell(this.hashKey(x, y), x, y);
+                const list = body.isStatic ? cell.statics : cell.dynamics;
+                if (body.isStatic) {
+                    if (list.length === 0) this.staticCells.push(cell);
+                } else if (cell.stamp !== this.stamp) {
+                    cell.stamp = this.stamp;
+                    list.length = 0;
+                    this.dynamicCells.push(cell);
                 }
+                // Two cells can share a hash key; list the body once
+                if (list[list.length - 1] !== body) list.push(body);
             }
         }
-        
-        return Array.from(keys);
     }
 
     /**
      * Get potential collision pairs (broad phase)
+     * Static bodies come from the persistent layer; the static ones in `bodies` are skipped.
+     * Pairs are visited cell by cell, cells holding static bodies first, and each pair is
+     * reported once with bodyA the body inserted first (static before dynamic)
+     * @param {RigidBody[]} bodies - Bodies to insert for this pass
+     * @returns {Object[]} { bodyA, bodyB } pairs, reused by the next call
      */
     getPotentialPairs(bodies) {
-        this.clear();
-        
-        // Insert all bodies
-        bodies.forEach(body => this.insert(body));
-        
-        // Find pairs
-        const pairs = [];
-        const checked = new Set();
-        
-        this.cells.forEach(cellBodies => {
-            for (let i = 0; i < cellBodies.length; i++) {
-                for (let j = i + 1; j < cellBodies.length; j++) {
-                    const bodyA = cellBodies[i];
-                    const bodyB = cellBodies[j];
-                    
-                    // Create unique pair ID
-                    const pairId = bodyA.id < bodyB.id 
-                        ? `${bodyA.id}-${bodyB.id}` 
-                        : `${bodyB.id}-${bodyA.id}`;
-                    
-                    if (!checked.has(pairId)) {
-                        checked.add(pairId);
-                        pairs.push({ bodyA, bodyB });
-                    }
-                }
+        this.insertDynamic(bodies);
+
+        this.pairCount = 0;
+        this.pairKeys.clear();
+        for (let i = 0; i < this.staticCells.length; i++) {
+            const cell = this.staticCells[i];
+            if (cell.stamp === this.stamp) this.collectPairs(cell);
+        }
+        for (let i = 0; i < this.dynamicCells.length; i++) {
+            const cell = this.dynamicCells[i];
+            if (cell.statics.length === 0) this.collectPairs(cell);
+        }
+        this.pairs.length = this.pairCount;
+        return this.pairs;
+    }
+
+    /**
+     * Start a new pass: re-insert the dynamic bodies where they are now
+     * @param {RigidBody[]} bodies - All bodies (static ones are skipped)
+     */
+    insertDynamic(bodies) {
+        this.stamp++;
+        this.dynamicCells.length = 0;
+        for (let i = 0; i < bodies.length; i++) {
+            if (!bodies[i].isStatic) this.insert(bodies[i]);
+        }
+    }
+
+    /**
+     * Pairs of one cell: every static body with every dynamic one, then the dynamic ones
+     * with each other (static-static pairs never collide)
+     */
+    collectPairs(cell) {
+        const { statics, dynamics } = cell;
+        for (let i = 0; i < statics.length; i++) {
+            for (let j = 0; j < dynamics.length; j++) {
+                this.addPair(statics[i], dynamics[j]);
+            }
+        }
+        for (let i = 0; i < dynamics.length; i++) {
+            for (let j = i + 1; j < dynamics.length; j++) {
+                this.addPair(dynamics[i], dynamics[j]);
             }
+        }
+    }
+
+    addPair(bodyA, bodyB) {
+        const key = bodyA.id < bodyB.id
+            ? bodyA.id * PAIR_KEY_STRIDE + bodyB.id
+            : bodyB.id * PAIR_KEY_STRIDE + bodyA.id;
+        if (this.pairKeys.has(key)) return;
+        this.pairKeys.add(key);
+
+        let pair = this.pairs[this.pairCount];
+        if (!pair) {
+            pair = { bodyA: null, bodyB: null };
+            this.pairs[this.pairCount] = pair;
+        }
+        pair.bodyA = bodyA;
+        pair.bodyB = bodyB;
+        this.pairCount++;
+    }
+
+    /**
+     * Occupied cells, for debug views: the static layer's cells, then the cells the
+     * dynamic bodies of the latest pass were inserted into
+     * @returns {Object[]} { x, y (cell coordinates), statics, dynamics (body counts) }
+     */
+    getOccupiedCells() {
+        const cells = [];
+        const add = cell => cells.push({
+            x: cell.x,
+            y: cell.y,
+            statics: cell.statics.length,
+            dynamics: cell.stamp === this.stamp ? cell.dynamics.length : 0
         });
-        
-        return pairs;
+        this.staticCells.forEach(add);
+        this.dynamicCells.forEach(cell => {
+            if (cell.statics.length === 0) add(cell);
+        });
+        return cells;
+    }
+
+    /**
+     * Static bodies in the cells overlapping an axis-aligned box (each body once)
+     * @param {Object} bounds - { minX, minY, maxX, maxY }
+     * @returns {RigidBody[]} Candidates, reused by the next call; the caller does the exact test
+     */
+    queryStatic(bounds) {
+        return this.query(bounds, false);
+    }
+
+    /**
+     * Bodies in the cells overlapping an axis-aligned box (each body once): the static
+     * layer, plus the dynamic bodies of the latest pass unless `dynamics` is false
+     * @param {Object} bounds - { minX, minY, maxX, maxY }
+     * @param {boolean} dynamics - Include dynamic bodies
+     * @returns {RigidBody[]} Candidates, reused by the next call; the caller does the exact test
+     */
+    query(bounds, dynamics = true) {
+        const found = this.queryFound;
+        found.clear();
+        const minCellX = Math.floor(bounds.minX / this.cellSize);
+        const minCellY = Math.floor(bounds.minY / this.cellSize);
+        const maxCellX = Math.floor(bounds.maxX / this.cellSize);
+        const maxCellY = Math.floor(bounds.maxY / this.cellSize);
+        for (let x = minCellX; x <= maxCellX; x++) {
+            for (let y = minCellY; y <= maxCellY; y++) {
+                const cell = this.cells.get(this.hashKey(x, y));
+                if (!cell) continue;
+                for (let i = 0; i < cell.statics.length; i++) found.add(cell.statics[i]);
+                if (!dynamics || cell.stamp !== this.stamp) continue;
+                for (let i = 0; i < cell.dynamics.length; i++) found.add(cell.dynamics[i]);
+            }
+        }
+        const result = this.queryResult;
+        result.length = 0;
+        found.forEach(body => result.push(body));
+        return result;
     }
 
     /**
-     * Clear all cells
+     * Clear all cells, static layer included
      */
     clear() {
         this.cells.clear();
+        this.staticCells.length = 0;
+        this.dynamicCells.length = 0;
     }
 }
 
+const CCD_SKIN = 0.01;  // Gap (pixels) left between a swept circle and the body it hit
+
+const SNAPSHOT_VERSION = 1;  // Format of PhysicsEngine.snapshot()
+
+// Event names accepted by PhysicsEngine.on()/off()
+const ENGINE_EVENTS = [
+    'collision', 'collisionStart', 'collisionActive', 'collisionEnd', 'beforeStep', 'afterStep'
+];
+
 class PhysicsEngine {
     /**
      * Main physics engine implementing Semi-Implicit Euler integration
@@ -336,17 +877,92 @@ class PhysicsEngine {
         this.accumulator = 0;
         this.maxSubSteps = 5; // Prevent spiral of death
         
-        // Spatial partitioning for broad-phase collision detection
+        // Spatial partitioning for broad-phase collision detection; static bodies
+        // stay in its persistent layer, rebuilt only when one is added or removed
         this.spatialHash = new SpatialHash(50);
+        this.staticHashDirty = true;
         
-        // Collision callbacks
-        this.collisionCallbacks = [];
+        // Shared seeded RNG so every random decision in a simulation can be replayed
+        this.random = new SeededRandom(options.seed);
+
+        // Event listeners by name (see on()); lists are replaced, never mutated,
+        // so a listener may call on()/off() while an event is being emitted
+        this.listeners = {};
+        ENGINE_EVENTS.forEach(name => { this.listeners[name] = []; });
+        this.stepEvent = { stepCount: 0, dt: 0 };
         
         // Performance tracking
         this.lastTime = performance.now();
         
         // Body ID counter
         this.nextBodyId = 0;
+
+        // Fixed steps taken so far (simulation clock in units of fixedDeltaTime)
+        this.stepCount = 0;
+
+        // Contact solver: extra passes over colliding pairs so stacked bodies
+        // converge instead of pushing each other back into overlap (1 = single pass)
+        this.iterations = options.iterations || 1;
+
+        // Sleeping: bodies slower than sleepVelocity for sleepSteps consecutive
+        // steps stop integrating until hit, so piles don't jitter
+        this.enableSleeping = options.enableSleeping || false;
+        this.sleepVelocity = options.sleepVelocity || 20; // pixels/second
+        this.sleepSteps = options.sleepSteps || 30;       // 0.5s at 60 FPS
+
+        // Continuous collision: a dynamic circle moving more than ccdThreshold × its
+        // radius in one step is swept against static and kinematic bodies (pegs, walls,
+        // sensors, moving bars)
+        // so it cannot tunnel through them; up to ccdIterations impacts per step
+        this.continuousCollision = options.continuousCollision !== false;
+        this.ccdThreshold = options.ccdThreshold || 0.5;
+        this.ccdIterations = options.ccdIterations || 4;
+
+        // Material pair table: 'a|b' (names sorted) → { restitution, friction } overriding
+        // the per-body combination (min restitution, mean friction) when both bodies touch
+        this.materialPairs = new Map();
+
+        // Pair table for collisionStart/Active/End: pair key → entry for the pairs
+        // touching at the end of the previous step, and for those touching in this one
+        this.activePairs = new Map();
+        this.touchingPairs = new Map();
+        this.pairPool = [];
+        // emitPairEvents() callbacks, bound once (activePairs is still the previous step's)
+        this.emitTouchingPair = (entry, key) => {
+            this.emit(this.activePairs.has(key) ? 'collisionActive' : 'collisionStart', entry);
+        };
+        this.emitEndedPair = (entry, key) => {
+            if (this.touchingPairs.has(key)) return;
+            this.emit('collisionEnd', entry);
+            this.releasePair(entry);
+        };
+
+        // Scratch state reused every step so the hot path does not allocate
+        this.contactPairs = [];       // Pairs resolved this step, for the relaxation passes
+        this.movingBodies = [];       // Bodies integrated this step
+        this.kinematicBodies = [];    // Awake kinematic bodies, moved before the dynamic ones
+        this.sweepIgnored = new Set();
+        this.sweepMotion = new Vec2();
+        this.sweepBounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        this.sweepCircle = { position: new Vec2(), radius: 0 };  // Circle shifted into a kinematic body's frame
+        this.sweepRelative = new Vec2();
+        this.sweepHit = { time: 0, normal: new Vec2() };              // Candidate hit of findTimeOfImpact
+        this.sweepBest = { body: null, time: 0, normal: new Vec2() }; // Earliest hit so far
+        this.sweepCorner = { time: 0, normal: new Vec2() };           // Corner hit of sweepCirclePolygon
+        this.manifold = this.createManifold();                        // Written by checkCollision and the sweeps
+        this.circleHit = { normal: new Vec2(), penetration: 0, point: new Vec2() };
+        this.axisA = { separation: 0, index: 0 };
+        this.axisB = { separation: 0, index: 0 };
+        this.clipPoints = [new Vec2(), new Vec2()];
+        this.clippedPoints = [new Vec2(), new Vec2()];
+        this.kinematicPose = { x: 0, y: 0, angle: 0 };
+        this.kinematicBounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        this.zoneForce = new Vec2();
+
+        // Measurements of the latest update() and step(), for getStats()
+        this.lastSubSteps = 0;
+        this.lastStepTime = 0;   // Milliseconds
+        this.lastPairCount = 0;  // Broad-phase pairs
     }
 
     /**
@@ -355,6 +971,7 @@ class PhysicsEngine {
     addBody(body) {
         body.id = this.nextBodyId++;
         this.bodies.push(body);
+        if (body.isStatic) this.staticHashDirty = true;
         return body;
     }
 
@@ -365,14 +982,177 @@ class PhysicsEngine {
         const index = this.bodies.indexOf(body);
         if (index !== -1) {
             this.bodies.splice(index, 1);
+            if (body.isStatic) this.staticHashDirty = true;
+            this.endPairsOf(body);
+        }
+    }
+
+    /**
+     * Key of a material pair in materialPairs (order-independent)
+     */
+    materialKey(materialA, materialB) {
+        return materialA < materialB ? `${materialA}|${materialB}` : `${materialB}|${materialA}`;
+    }
+
+    /**
+     * Set the contact coefficients used when bodies of two materials touch
+     * Either value may be left out to keep the per-body combination for it
+     * @param {string} materialA - Material name (RigidBody `material` option)
+     * @param {string} materialB - Material name (may equal materialA)
+     * @param {Object} coefficients - { restitution?, friction? }
+     */
+    setMaterialPair(materialA, materialB, coefficients) {
+        const pair = {};
+        if (coefficients.restitution !== undefined) pair.restitution = coefficients.restitution;
+        if (coefficients.friction !== undefined) pair.friction = coefficients.friction;
+        this.materialPairs.set(this.materialKey(materialA, materialB), pair);
+    }
+
+    /**
+     * Contact coefficients set for two bodies' materials
+     * @returns {Object|null} { restitution?, friction? }, or null if none are set
+     */
+    getMaterialPair(bodyA, bodyB) {
+        if (this.materialPairs.size === 0 || !bodyA.material || !bodyB.material) return null;
+        return this.materialPairs.get(this.materialKey(bodyA.material, bodyB.material)) || null;
+    }
+
+    /**
+     * Remove every material pair (back to the per-body combination)
+     */
+    clearMaterialPairs() {
+        this.materialPairs.clear();
+    }
+
+    /**
+     * Capture the whole simulation as plain data (JSON-safe)
+     * Bodies keep their order and ids; the step clock, accumulator, RNG state, solver
+     * settings and the touching pairs are saved too, so restore() carries on exactly.
+     * Listeners are code and are not part of it
+     * @returns {Object} Snapshot for restore()
+     */
+    snapshot() {
+        const pairs = [];
+        this.activePairs.forEach(entry => pairs.push([entry.bodyA.id, entry.bodyB.id]));
+        return {
+            version: SNAPSHOT_VERSION,
+            gravity: { x: this.gravity.x, y: this.gravity.y },
+            fixedDeltaTime: this.fixedDeltaTime,
+            accumulator: this.accumulator,
+            maxSubSteps: this.maxSubSteps,
+            random: { seed: this.random.seed, state: this.random.state },
+            nextBodyId: this.nextBodyId,
+            stepCount: this.stepCount,
+            iterations: this.iterations,
+            enableSleeping: this.enableSleeping,
+            sleepVelocity: this.sleepVelocity,
+            sleepSteps: this.sleepSteps,
+            continuousCollision: this.continuousCollision,
+            ccdThreshold: this.ccdThreshold,
+            ccdIterations: this.ccdIterations,
+            materialPairs: [...this.materialPairs].map(([key, pair]) => [key, { ...pair }]),
+            bodies: this.bodies.map(body => body.snapshot()),
+            activePairs: pairs
+        };
+    }
+
+    /**
+     * Replace the simulation with a snapshot() (listeners are kept)
+     * Pairs touching when it was taken stay active, so no collisionStart repeats;
+     * their entries carry no manifold until they are touched again
+     * @param {Object} snapshot - Data from snapshot(), possibly through JSON
+     */
+    restore(snapshot) {
+        if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported engine snapshot version: ${snapshot && snapshot.version}`);
+        }
+
+        this.clear();
+        this.gravity.set(snapshot.gravity.x, snapshot.gravity.y);
+        this.fixedDeltaTime = snapshot.fixedDeltaTime;
+        this.accumulator = snapshot.accumulator;
+        this.maxSubSteps = snapshot.maxSubSteps;
+        this.random.seed = snapshot.random.seed;
+        this.random.state = snapshot.random.state;
+        this.nextBodyId = snapshot.nextBodyId;
+        this.stepCount = snapshot.stepCount;
+        this.iterations = snapshot.iterations;
+        this.enableSleeping = snapshot.enableSleeping;
+        this.sleepVelocity = snapshot.sleepVelocity;
+        this.sleepSteps = snapshot.sleepSteps;
+        this.continuousCollision = snapshot.continuousCollision;
+        this.ccdThreshold = snapshot.ccdThreshold;
+        this.ccdIterations = snapshot.ccdIterations;
+        this.materialPairs = new Map((snapshot.materialPairs || []).map(([key, pair]) => [key, { ...pair }]));
+
+        const byId = new Map();
+        snapshot.bodies.forEach(data => {
+            const body = RigidBody.fromSnapshot(data);
+            this.bodies.push(body);
+            byId.set(body.id, body);
+        });
+        snapshot.activePairs.forEach(([idA, idB]) => {
+            const bodyA = byId.get(idA);
+            const bodyB = byId.get(idB);
+            if (!bodyA || !bodyB) return;
+            this.activePairs.set(this.pairKey(bodyA, bodyB), {
+                bodyA, bodyB, collision: null, impulse: 0, manifold: this.createManifold()
+            });
+        });
+    }
+
+    /**
+     * Register an event listener
+     *   collision        { bodyA, bodyB, collision }  every step, for every touching pair, as found
+     *   collisionStart   pair entry, after the step  the pair began touching in this step
+     *   collisionActive  pair entry, after the step  the pair was already touching
+     *   collisionEnd     pair entry                  the pair stopped touching (or a body was removed)
+     *   beforeStep / afterStep  { stepCount, dt }
+     * A pair entry is { bodyA, bodyB, collision, impulse }: the latest manifold and the
+     * total normal impulse the solver applied to the pair during the step (0 for sensors
+     * and separating contacts). Entries and step events are reused; copy what you keep.
+     * @param {string} name - Event name
+     * @param {Function} listener - Called with the event object
+     * @returns {Function} The listener, for off()
+     */
+    on(name, listener) {
+        this.checkEventName(name);
+        this.listeners[name] = [...this.listeners[name], listener];
+        return listener;
+    }
+
+    /**
+     * Remove an event listener registered with on()
+     * @param {string} name - Event name
+     * @param {Function} listener - Listener to remove
+     */
+    off(name, listener) {
+        this.checkEventName(name);
+        this.listeners[name] = this.listeners[name].filter(fn => fn !== listener);
+    }
+
+    /**
+     * Throw on a name that is not one of ENGINE_EVENTS (a typo would never fire)
+     */
+    checkEventName(name) {
+        if (!ENGINE_EVENTS.includes(name)) throw new Error(`Unknown engine event: ${name}`);
+    }
+
+    /**
+     * Call the listeners of an event
+     */
+    emit(name, event) {
+        const listeners = this.listeners[name];
+        for (let i = 0; i < listeners.length; i++) {
+            listeners[i](event);
         }
     }
 
     /**
-     * Register collision callback
+     * Register collision callback (the per-step 'collision' event)
      */
     onCollision(callback) {
-        this.collisionCallbacks.push(callback);
+        return this.on('collision', callback);
     }
 
     /**
@@ -389,6 +1169,7 @@ class PhysicsEngine {
             this.accumulator -= this.fixedDeltaTime;
             subSteps++;
         }
+        this.lastSubSteps = subSteps;
         
         // Calculate interpolation factor for smooth rendering
         const alpha = this.accumulator / this.fixedDeltaTime;
@@ -399,37 +1180,446 @@ class PhysicsEngine {
      * Single physics step using Semi-Implicit Euler integration
      */
     step(dt) {
-        // Store previous state for interpolation
-        this.bodies.forEach(body => {
-            body.prevPosition = new Vec2(body.position.x, body.position.y);
+        const startTime = performance.now();
+        this.stepCount++;
+        this.stepEvent.stepCount = this.stepCount;
+        this.stepEvent.dt = dt;
+        this.emit('beforeStep', this.stepEvent);
+
+        this.updateStaticHash();
+
+        // Indexed loops, here and in the rest of the step: a callback per pass would be
+        // allocated on every step
+        const bodies = this.bodies;
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            // Store previous state for interpolation
+            body.prevPosition.copy(body.position);
             body.prevAngle = body.angle;
-        });
-        
-        // 1. Apply forces and update velocities (Semi-Implicit Euler: velocity first)
-        this.bodies.forEach(body => {
-            if (body.isStatic) return;
-            
-            // Apply gravity: a = g, so Δv = g * dt
-            // gravity is in pixels/second², dt is in seconds
-            body.velocity = body.velocity.add(this.gravity.mul(dt));
-            
-            // Apply air resistance (drag)
-            const drag = 1 - body.frictionAir;
-            body.velocity = body.velocity.mul(drag);
-            body.angularVelocity *= drag;
-        });
-        
+
+            // 1. Apply forces and update velocities (Semi-Implicit Euler: velocity first)
+            if (!body.isStatic && !body.isKinematic && !body.isSleeping) {
+                // Apply gravity: a = g, so Δv = g * dt
+                // gravity is in pixels/second², dt is in seconds
+                body.velocity.addScaledSelf(this.gravity, dt);
+
+                // Forces from applyForce() (force zones): Δv = F/m * dt
+                if (body.force.x !== 0 || body.force.y !== 0) {
+                    body.velocity.addScaledSelf(body.force, dt / body.mass);
+                }
+
+                // Apply air resistance (drag)
+                const drag = 1 - body.frictionAir;
+                body.velocity.mulSelf(drag);
+                body.angularVelocity *= drag;
+            }
+
+            body.contactCount = 0;
+            body.force.set(0, 0);
+        }
+
         // 2. Update positions using new velocities (Semi-Implicit Euler)
-        this.bodies.forEach(body => {
-            if (body.isStatic) return;
-            
+        //    Fast circles are swept instead, stopping at each time of impact.
+        //    Sweeps fire collision callbacks, which may add or remove bodies (a ball
+        //    landing in a bucket), so iterate a copy: splicing this.bodies mid-loop
+        //    would skip the next body's move. Kinematic bodies move first so the
+        //    sweeps see their poses and velocities for this step
+        const moving = this.movingBodies;
+        const kinematics = this.kinematicBodies;
+        moving.length = 0;
+        kinematics.length = 0;
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            if (body.isStatic || body.isSleeping) continue;
+            (body.isKinematic ? kinematics : moving).push(body);
+        }
+        for (let i = 0; i < kinematics.length; i++) {
+            this.moveKinematic(kinematics[i], this.stepCount, dt);
+        }
+        for (let i = 0; i < moving.length; i++) {
+            const body = moving[i];
             // x_{t+Δt} = x_t + v_{t+Δt} * Δt
-            body.position = body.position.add(body.velocity.mul(dt));
+            if (this.needsSweep(body, dt)) {
+                this.sweepBody(body, dt);
+            } else {
+                body.position.addScaledSelf(body.velocity, dt);
+            }
             body.angle += body.angularVelocity * dt;
-        });
+        }
         
         // 3. Detect and resolve collisions
         this.detectAndResolveCollisions();
+
+        // 4. Put resting bodies to sleep
+        if (this.enableSleeping) {
+            this.updateSleeping();
+        }
+
+        // 5. Pair lifecycle events
+        this.emitPairEvents();
+        this.emit('afterStep', this.stepEvent);
+        this.lastStepTime = performance.now() - startTime;
+    }
+
+    /**
+     * Counters and timings for debug views (plain data, safe to post from a worker)
+     * @returns {Object} { stepCount, subSteps (steps run by the latest update()),
+     *                     stepTime (ms of the latest step()), accumulator, bodyCount,
+     *                     pairCount (broad-phase pairs), contactCount (touching pairs) }
+     */
+    getStats() {
+        return {
+            stepCount: this.stepCount,
+            subSteps: this.lastSubSteps,
+            stepTime: this.lastStepTime,
+            accumulator: this.accumulator,
+            bodyCount: this.bodies.length,
+            pairCount: this.lastPairCount,
+            contactCount: this.activePairs.size
+        };
+    }
+
+    /**
+     * Contacts of the pairs touching after the latest step, for debug views
+     * (pairs restored from a snapshot have no manifold until they touch again)
+     * @returns {Object[]} { bodyA, bodyB, points, normal (bodyA → bodyB), impulse, isSensor }
+     */
+    getContacts() {
+        const contacts = [];
+        this.activePairs.forEach(entry => {
+            if (!entry.collision) return;
+            contacts.push({
+                bodyA: entry.bodyA,
+                bodyB: entry.bodyB,
+                points: entry.collision.contacts.map(contact => contact.point),
+                normal: entry.collision.normal,
+                impulse: entry.impulse,
+                isSensor: entry.bodyA.isSensor || entry.bodyB.isSensor
+            });
+        });
+        return contacts;
+    }
+
+    /**
+     * Record that a pair touches in this step
+     * The first report of a pair in a step fires the 'collision' event; later
+     * reports (discrete pass after a sweep) only refresh the manifold, which is
+     * copied into the entry's own (the one passed in is scratch)
+     * @returns {Object} The pair entry, whose impulse the caller adds to
+     */
+    touchPair(bodyA, bodyB, collision) {
+        const key = this.pairKey(bodyA, bodyB);
+        let entry = this.touchingPairs.get(key);
+        if (entry) {
+            entry.collision = this.copyManifold(collision, entry.manifold);
+            return entry;
+        }
+
+        entry = this.activePairs.get(key) || this.pairPool.pop() || { manifold: this.createManifold() };
+        entry.bodyA = bodyA;
+        entry.bodyB = bodyB;
+        entry.collision = this.copyManifold(collision, entry.manifold);
+        entry.impulse = 0;
+        this.touchingPairs.set(key, entry);
+        this.emit('collision', { bodyA, bodyB, collision: entry.collision });
+        if (bodyA.forceZone) this.applyForceZone(bodyA, bodyB);
+        if (bodyB.forceZone) this.applyForceZone(bodyB, bodyA);
+        return entry;
+    }
+
+    /**
+     * Compare this step's touching pairs with the previous step's:
+     * new ones start, the others stay active, and missing ones end
+     */
+    emitPairEvents() {
+        const previous = this.activePairs;
+        const current = this.touchingPairs;
+
+        current.forEach(this.emitTouchingPair);
+        previous.forEach(this.emitEndedPair);
+
+        previous.clear();
+        this.activePairs = current;
+        this.touchingPairs = previous;
+    }
+
+    /**
+     * End the pairs of a body leaving the world; pairs it touched only in the
+     * current step never started, so they are dropped silently
+     * (Not pooled: a removal from a 'collision' listener happens while the solver
+     * still holds the entry)
+     */
+    endPairsOf(body) {
+        this.touchingPairs.forEach((entry, key) => {
+            if (entry.bodyA === body || entry.bodyB === body) this.touchingPairs.delete(key);
+        });
+        this.activePairs.forEach((entry, key) => {
+            if (entry.bodyA !== body && entry.bodyB !== body) return;
+            this.activePairs.delete(key);
+            this.emit('collisionEnd', entry);
+        });
+    }
+
+    /**
+     * Return a pair entry to the pool, dropping its references
+     */
+    releasePair(entry) {
+        entry.bodyA = null;
+        entry.bodyB = null;
+        entry.collision = null;
+        this.pairPool.push(entry);
+    }
+
+    /**
+     * Rebuild the broad phase's static layer after static bodies were added or removed
+     */
+    updateStaticHash() {
+        if (!this.staticHashDirty) return;
+        this.spatialHash.setStaticBodies(this.bodies.filter(body => body.isStatic));
+        this.staticHashDirty = false;
+    }
+
+    /**
+     * Bodies whose cells overlap a box and whose category is in the mask, sorted by id
+     * Dynamic bodies are re-inserted first: the step's own grid predates the solver's
+     * corrections and later moves. The next step starts a fresh pass, so this does
+     * not change the simulation
+     */
+    queryCandidates(bounds, mask) {
+        this.updateStaticHash();
+        this.spatialHash.insertDynamic(this.bodies);
+        return this.spatialHash.query(bounds)
+            .filter(body => (body.collisionFilter.category & mask) !== 0)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * Bodies containing a point (rotation aware, sensors included)
+     * @param {Object} point - { x, y }
+     * @param {number} [mask] - Only bodies whose collisionFilter.category shares a bit with it
+     * @returns {RigidBody[]} Matching bodies, by id
+     */
+    queryPoint(point, mask = QUERY_ALL) {
+        const bounds = { minX: point.x, minY: point.y, maxX: point.x, maxY: point.y };
+        return this.queryCandidates(bounds, mask).filter(body => body.containsPoint(point));
+    }
+
+    /**
+     * Bodies whose bounding box overlaps an axis-aligned region
+     * @param {Object} bounds - { minX, minY, maxX, maxY }
+     * @param {number} [mask] - Only bodies whose collisionFilter.category shares a bit with it
+     * @returns {RigidBody[]} Matching bodies, by id
+     */
+    queryRegion(bounds, mask = QUERY_ALL) {
+        return this.queryCandidates(bounds, mask).filter(body => {
+            const b = body.getBounds();
+            return b.minX <= bounds.maxX && b.maxX >= bounds.minX && b.minY <= bounds.maxY && b.maxY >= bounds.minY;
+        });
+    }
+
+    /**
+     * Bodies crossed by the segment from → to, nearest first
+     * A segment starting inside a body hits it at fraction 0, with the normal
+     * pointing back along the ray
+     * @param {Object} from - { x, y } start
+     * @param {Object} to - { x, y } end
+     * @param {number} [mask] - Only bodies whose collisionFilter.category shares a bit with it
+     * @returns {Object[]} { body, point, normal (surface, outward), fraction (0..1 along the segment) }
+     */
+    raycast(from, to, mask = QUERY_ALL) {
+        const motion = new Vec2(to.x - from.x, to.y - from.y);
+        const bounds = {
+            minX: Math.min(from.x, to.x),
+            minY: Math.min(from.y, to.y),
+            maxX: Math.max(from.x, to.x),
+            maxY: Math.max(from.y, to.y)
+        };
+        const hits = [];
+        this.queryCandidates(bounds, mask).forEach(body => {
+            const hit = body.shape === 'circle'
+                ? this.rayCircle(from, motion, body)
+                : this.rayPolygon(from, motion, body);
+            if (!hit) return;
+            hits.push({
+                body,
+                point: new Vec2(from.x + motion.x * hit.fraction, from.y + motion.y * hit.fraction),
+                normal: hit.normal,
+                fraction: hit.fraction
+            });
+        });
+        return hits.sort((a, b) => a.fraction - b.fraction);
+    }
+
+    /**
+     * Segment vs circle: a swept point (sweepCircleCircle with radius 0)
+     * @returns {Object|null} { fraction, normal }
+     */
+    rayCircle(from, motion, body) {
+        const dx = from.x - body.position.x;
+        const dy = from.y - body.position.y;
+        if (dx * dx + dy * dy <= body.radius * body.radius) {
+            return { fraction: 0, normal: motion.normalize().mul(-1) };
+        }
+        const hit = this.sweepCircleCircle(from, motion, 0, body.position, body.radius);
+        return hit && { fraction: hit.time, normal: hit.normal };
+    }
+
+    /**
+     * Segment vs convex polygon (Cyrus-Beck): clip the segment against every face
+     * @returns {Object|null} { fraction, normal }
+     */
+    rayPolygon(from, motion, body) {
+        const { vertices, normals } = body.getWorldGeometry();
+        let enter = 0;
+        let exit = 1;
+        let enterNormal = null;
+        for (let i = 0; i < vertices.length; i++) {
+            const normal = normals[i];
+            const distance = normal.x * (from.x - vertices[i].x) + normal.y * (from.y - vertices[i].y);
+            const approach = normal.x * motion.x + normal.y * motion.y;
+            if (approach === 0) {
+                if (distance > 0) return null;  // Parallel to the face and outside it
+                continue;
+            }
+            const time = -distance / approach;
+            if (approach < 0) {
+                if (time > enter) {
+                    enter = time;
+                    enterNormal = normal;
+                }
+            } else if (time < exit) {
+                exit = time;
+            }
+            if (enter > exit) return null;
+        }
+        return { fraction: enter, normal: enterNormal ? enterNormal.clone() : motion.normalize().mul(-1) };
+    }
+
+    /**
+     * Advance a kinematic body to `step` of the clock
+     * A scripted motion depends only on the clock, so the body is posed at `step`,
+     * its previous pose is set to the one a step earlier, and its velocities to the
+     * move between them (what the solver and getPointVelocity see). Without a motion
+     * the body moves with the velocities it was given
+     * @param {RigidBody} body - Kinematic body
+     * @param {number} step - Step of the clock (stepCount)
+     * @param {number} dt - Step duration
+     */
+    moveKinematic(body, step, dt) {
+        if (!body.motion) {
+            body.position.addScaledSelf(body.velocity, dt);
+            body.angle += body.angularVelocity * dt;
+            return;
+        }
+
+        const pose = this.kinematicPose;
+        this.motionPose(body, (step - 1) * dt, pose);
+        body.prevPosition.set(pose.x, pose.y);
+        body.prevAngle = pose.angle;
+        this.motionPose(body, step * dt, pose);
+        body.velocity.set((pose.x - body.prevPosition.x) / dt, (pose.y - body.prevPosition.y) / dt);
+        body.angularVelocity = (pose.angle - body.prevAngle) / dt;
+        body.position.set(pose.x, pose.y);
+        body.angle = pose.angle;
+    }
+
+    /**
+     * Pose of a scripted body at a time (see RigidBody motion types)
+     * @param {RigidBody} body - Body with a motion
+     * @param {number} time - Seconds on the step clock
+     * @param {Object} out - Receives { x, y, angle }
+     * @returns {Object} out
+     */
+    motionPose(body, time, out) {
+        const { motion, origin } = body;
+        const wave = motion.period ? Math.sin(2 * Math.PI * (time / motion.period + (motion.phase || 0))) : 0;
+        out.x = origin.x;
+        out.y = origin.y;
+        out.angle = origin.angle;
+        if (motion.type === 'oscillate') {
+            out.x += motion.dx * wave;
+            out.y += motion.dy * wave;
+        } else if (motion.type === 'swing') {
+            out.angle += motion.amplitude * wave;
+        } else {
+            out.angle += motion.speed * time;
+        }
+        return out;
+    }
+
+    /**
+     * Pose the scripted bodies for the current stepCount without stepping, for an
+     * engine that follows another engine's clock (the page while physics runs in a worker)
+     */
+    poseKinematicBodies() {
+        this.bodies.forEach(body => {
+            if (body.motion) this.moveKinematic(body, this.stepCount, this.fixedDeltaTime);
+        });
+    }
+
+    /**
+     * Push a body touching a force zone; the force is integrated in the next step
+     * Zone accelerations are the same for every mass:
+     *   { type: 'wind', ax, ay }        constant acceleration (pixels/s²)
+     *   { type: 'magnet', strength }    acceleration towards the zone center (pixels/s², negative repels)
+     *   { type: 'slow', damping }       drag proportional to velocity (1/s)
+     * @param {RigidBody} zone - Body with a forceZone
+     * @param {RigidBody} body - Body touching it
+     */
+    applyForceZone(zone, body) {
+        if (body.isStatic || body.isKinematic || body.isSleeping) return;
+        const field = zone.forceZone;
+        const force = this.zoneForce;
+        if (field.type === 'wind') {
+            force.set(field.ax * body.mass, field.ay * body.mass);
+        } else if (field.type === 'magnet') {
+            const dx = zone.position.x - body.position.x;
+            const dy = zone.position.y - body.position.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance === 0) return;
+            const scale = field.strength * body.mass / distance;
+            force.set(dx * scale, dy * scale);
+        } else {
+            force.set(-body.velocity.x * field.damping * body.mass, -body.velocity.y * field.damping * body.mass);
+        }
+        body.applyForce(force);
+    }
+
+    /**
+     * Sleep bookkeeping after collisions have been resolved
+     * A sleeping body whose support disappeared (no solid contacts) wakes up again
+     */
+    updateSleeping() {
+        const limitSq = this.sleepVelocity * this.sleepVelocity;
+        const bodies = this.bodies;
+
+        for (let i = 0; i < bodies.length; i++) {
+            const body = bodies[i];
+            if (body.isStatic || body.isKinematic) continue;
+
+            if (body.isSleeping) {
+                if (body.contactCount === 0) this.wakeBody(body);
+                continue;
+            }
+
+            const slow = body.velocity.lengthSquared() < limitSq &&
+                         Math.abs(body.angularVelocity * body.radius) < this.sleepVelocity;
+            body.sleepCounter = slow && body.contactCount > 0 ? body.sleepCounter + 1 : 0;
+
+            if (body.sleepCounter >= this.sleepSteps) {
+                body.isSleeping = true;
+                body.velocity.set(0, 0);
+                body.angularVelocity = 0;
+            }
+        }
+    }
+
+    /**
+     * Wake a sleeping body so it integrates again
+     */
+    wakeBody(body) {
+        body.isSleeping = false;
+        body.sleepCounter = 0;
     }
 
     /**
@@ -438,201 +1628,742 @@ class PhysicsEngine {
      */
     detectAndResolveCollisions() {
         const potentialPairs = this.spatialHash.getPotentialPairs(this.bodies);
+        this.lastPairCount = potentialPairs.length;
+        const contacts = this.contactPairs;
+        contacts.length = 0;
         
-        potentialPairs.forEach(({ bodyA, bodyB }) => {
-            // Skip if both are static or sensors
-            if (bodyA.isStatic && bodyB.isStatic) return;
-            
-            // Skip if same collision group and group is negative
-            if (bodyA.collisionFilter.group === bodyB.collisionFilter.group && 
-                bodyA.collisionFilter.group < 0) return;
+        for (let i = 0; i < potentialPairs.length; i++) {
+            const { bodyA, bodyB } = potentialPairs[i];
+            if (!this.canCollide(bodyA, bodyB)) continue;
             
             // Narrow phase: Check actual collision
             const collision = this.checkCollision(bodyA, bodyB);
             
             if (collision) {
-                // Notify collision callbacks
-                this.collisionCallbacks.forEach(callback => {
-                    callback({ bodyA, bodyB, collision });
-                });
+                // Notify listeners (once per step: a sweep may have reported the pair already)
+                const entry = this.touchPair(bodyA, bodyB, collision);
                 
                 // Resolve collision with impulse-based response
                 if (!bodyA.isSensor && !bodyB.isSensor) {
-                    this.resolveCollision(bodyA, bodyB, collision);
+                    bodyA.contactCount++;
+                    bodyB.contactCount++;
+
+                    // A fast awake body hitting a sleeper wakes it; slow settling
+                    // contacts treat the sleeper as immovable so piles stay put
+                    if (this.enableSleeping) {
+                        this.wakeOnImpact(bodyA, bodyB);
+                        this.wakeOnImpact(bodyB, bodyA);
+                    }
+                    if (this.isImmovable(bodyA) && this.isImmovable(bodyB)) continue;
+
+                    entry.impulse += this.resolveCollision(bodyA, bodyB, entry.collision);
+                    contacts.push(entry);
                 }
             }
-        });
+        }
+
+        // Relaxation passes: re-test and re-resolve the colliding pairs
+        for (let pass = 1; pass < this.iterations; pass++) {
+            for (let i = 0; i < contacts.length; i++) {
+                const entry = contacts[i];
+                const collision = this.checkCollision(entry.bodyA, entry.bodyB);
+                if (collision) {
+                    entry.impulse += this.resolveCollision(entry.bodyA, entry.bodyB, collision);
+                }
+            }
+        }
+    }
+
+    /**
+     * Pair filter shared by the discrete pass and the sweeps: static and kinematic
+     * bodies never collide with each other. A shared non-zero group decides on its own
+     * (negative: never, positive: always); otherwise both masks must accept the other's category
+     */
+    canCollide(bodyA, bodyB) {
+        if ((bodyA.isStatic || bodyA.isKinematic) && (bodyB.isStatic || bodyB.isKinematic)) return false;
+        const filterA = bodyA.collisionFilter;
+        const filterB = bodyB.collisionFilter;
+        if (filterA.group === filterB.group && filterA.group !== 0) return filterA.group > 0;
+        return (filterA.mask & filterB.category) !== 0 && (filterB.mask & filterA.category) !== 0;
+    }
+
+    /**
+     * Integer key of an unordered pair (same scheme as the broad phase)
+     */
+    pairKey(bodyA, bodyB) {
+        return bodyA.id < bodyB.id
+            ? bodyA.id * PAIR_KEY_STRIDE + bodyB.id
+            : bodyB.id * PAIR_KEY_STRIDE + bodyA.id;
+    }
+
+    /**
+     * A body is swept when it is a dynamic circle moving far enough in this step
+     * that the discrete test could miss a thin or small static or kinematic body
+     */
+    needsSweep(body, dt) {
+        if (!this.continuousCollision || body.shape !== 'circle') return false;
+        const limit = body.radius * this.ccdThreshold;
+        const mx = body.velocity.x * dt;
+        const my = body.velocity.y * dt;
+        return mx * mx + my * my > limit * limit;
+    }
+
+    /**
+     * Move a circle through this step with time-of-impact sub-stepping
+     * The circle advances to its first contact with a static or kinematic body along its motion.
+     * A sensor is reported and passed through; a solid body is reported and gets a
+     * contact impulse, then the rest of the step continues with the new velocity.
+     * Bodies already overlapping at the start are left to the discrete pass, as is
+     * motion left over after ccdIterations impacts (the circle waits at its last contact)
+     * @param {RigidBody} body - Dynamic circle
+     * @param {number} dt - Step duration
+     */
+    sweepBody(body, dt) {
+        const ignored = this.sweepIgnored;
+        const motion = this.sweepMotion;
+        const collision = this.manifold;
+        ignored.clear();
+        let remaining = dt;
+        for (let i = 0; i < this.ccdIterations && remaining > 0; i++) {
+            motion.set(body.velocity.x * remaining, body.velocity.y * remaining);
+            const hit = this.findTimeOfImpact(body, motion, ignored, remaining);
+            if (!hit) {
+                body.position.addSelf(motion);
+                return;
+            }
+
+            // Stop just short of the contact so the discrete pass does not report it again
+            body.position.addScaledSelf(motion, hit.time).addScaledSelf(hit.normal, CCD_SKIN);
+            remaining *= 1 - hit.time;
+            ignored.add(hit.body);
+
+            // Manifold from the circle (bodyA) to the body it hit (bodyB)
+            const other = hit.body;
+            const normal = collision.normal.set(hit.normal.x * -1, hit.normal.y * -1);
+            this.setContact(collision, 0,
+                body.position.x + normal.x * body.radius, body.position.y + normal.y * body.radius, 0);
+            this.finishManifold(collision, 1);
+            const entry = this.touchPair(body, other, collision);
+            if (other.isSensor) continue;
+
+            body.contactCount++;
+            other.contactCount++;
+            entry.impulse += this.applyContactImpulse(body, other, entry.collision.normal,
+                entry.collision.contacts[0].point);
+        }
+    }
+
+    /**
+     * Earliest contact of a moving circle with a static or kinematic body near its path
+     * A kinematic body has already moved to its pose at the end of the step; the circle
+     * is swept in that body's frame (its motion relative to the body's velocity over
+     * the remaining time). Rotation during the step is not swept: the body keeps its
+     * end-of-step angle
+     * @param {RigidBody} body - Moving circle (at the start of the motion)
+     * @param {Vec2} motion - Displacement to test
+     * @param {Set} ignored - Bodies to skip
+     * @param {number} duration - Time (seconds) the motion covers
+     * @returns {Object|null} { body, time (0..1 of motion), normal (body hit → circle) } or null;
+     *                        reused by the next call
+     */
+    findTimeOfImpact(body, motion, ignored, duration) {
+        const start = body.position;
+        const endX = start.x + motion.x;
+        const endY = start.y + motion.y;
+        const bounds = this.sweepBounds;
+        bounds.minX = Math.min(start.x, endX) - body.radius;
+        bounds.minY = Math.min(start.y, endY) - body.radius;
+        bounds.maxX = Math.max(start.x, endX) + body.radius;
+        bounds.maxY = Math.max(start.y, endY) + body.radius;
+        const candidates = this.spatialHash.queryStatic(bounds);
+
+        const hit = this.sweepHit;
+        const best = this.sweepBest;
+        best.body = null;
+        for (let i = 0; i < candidates.length; i++) {
+            const other = candidates[i];
+            if (other === body || ignored.has(other) || !this.canCollide(body, other)) continue;
+            const found = other.shape === 'circle'
+                ? this.sweepCircleCircle(start, motion, body.radius, other.position, other.radius, hit)
+                : this.sweepCirclePolygon(body, motion, other, hit);
+            if (found && (!best.body || hit.time < best.time)) {
+                best.body = other;
+                best.time = hit.time;
+                best.normal.copy(hit.normal);
+            }
+        }
+
+        const kinematics = this.kinematicBodies;
+        for (let i = 0; i < kinematics.length; i++) {
+            const other = kinematics[i];
+            if (ignored.has(other) || !this.canCollide(body, other)) continue;
+
+            // Box covered by the body over the motion: its end pose, grown back along its path
+            const shiftX = other.velocity.x * duration;
+            const shiftY = other.velocity.y * duration;
+            const box = other.getBounds(this.kinematicBounds);
+            if (box.minX - Math.max(shiftX, 0) > bounds.maxX || box.maxX - Math.min(shiftX, 0) < bounds.minX ||
+                box.minY - Math.max(shiftY, 0) > bounds.maxY || box.maxY - Math.min(shiftY, 0) < bounds.minY) continue;
+
+            const circle = this.sweepCircle;
+            circle.position.set(start.x + shiftX, start.y + shiftY);
+            circle.radius = body.radius;
+            const relative = this.sweepRelative.set(motion.x - shiftX, motion.y - shiftY);
+            const found = other.shape === 'circle'
+                ? this.sweepCircleCircle(circle.position, relative, circle.radius, other.position, other.radius, hit)
+                : this.sweepCirclePolygon(circle, relative, other, hit);
+            if (found && (!best.body || hit.time < best.time)) {
+                best.body = other;
+                best.time = hit.time;
+                best.normal.copy(hit.normal);
+            }
+        }
+        return best.body ? best : null;
+    }
+
+    /**
+     * Swept circle vs circle: the moving center against a circle of the summed radii
+     * @param {Object} [out] - Receives the hit (a new object by default)
+     * @returns {Object|null} out as { time (0..1), normal (fixed circle → moving circle) },
+     *                        null if they miss or already overlap at the start
+     */
+    sweepCircleCircle(start, motion, radius, center, otherRadius, out = { time: 0, normal: new Vec2() }) {
+        const reach = radius + otherRadius;
+        const ox = start.x - center.x;
+        const oy = start.y - center.y;
+        const a = motion.x * motion.x + motion.y * motion.y;
+        const b = 2 * (ox * motion.x + oy * motion.y);
+        const c = (ox * ox + oy * oy) - reach * reach;
+        if (c < 0 || b >= 0 || a === 0) return null;  // Overlapping, or not approaching
+
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+        const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+        if (time > 1) return null;
+
+        out.time = time;
+        out.normal.set(
+            (start.x + motion.x * time - center.x) * (1 / reach),
+            (start.y + motion.y * time - center.y) * (1 / reach)
+        );
+        return out;
+    }
+
+    /**
+     * Swept circle vs convex polygon: the moving center against the polygon grown by
+     * the radius (each face pushed out along its normal, a circle at each corner)
+     * @param {Object} circle - { position, radius } at the start of the motion
+     * @param {Object} [out] - Receives the hit (a new object by default)
+     * @returns {Object|null} out as { time (0..1), normal (polygon → circle) },
+     *                        null if they miss or already overlap at the start
+     */
+    sweepCirclePolygon(circle, motion, polygon, out = { time: 0, normal: new Vec2() }) {
+        if (this.collideCirclePolygon(circle, polygon)) return null;
+
+        const start = circle.position;
+        const radius = circle.radius;
+        const { vertices, normals } = polygon.getWorldGeometry();
+        const corner = this.sweepCorner;
+        let found = false;
+
+        for (let i = 0; i < vertices.length; i++) {
+            const v1 = vertices[i];
+            const v2 = vertices[(i + 1) % vertices.length];
+            const normal = normals[i];
+
+            // Face: where the center crosses the face plane pushed out by the radius
+            const distance = (normal.x * (start.x - v1.x) + normal.y * (start.y - v1.y)) - radius;
+            const approach = normal.x * motion.x + normal.y * motion.y;
+            if (distance >= 0 && approach < 0) {
+                const time = distance / -approach;
+                const ex = v2.x - v1.x;
+                const ey = v2.y - v1.y;
+                const along = ((start.x + motion.x * time - v1.x) * ex + (start.y + motion.y * time - v1.y) * ey) /
+                              (ex * ex + ey * ey);
+                if (time <= 1 && along >= 0 && along <= 1 && (!found || time < out.time)) {
+                    out.time = time;
+                    out.normal.copy(normal);
+                    found = true;
+                }
+            }
+
+            // Corner
+            if (this.sweepCircleCircle(start, motion, radius, v1, 0, corner) && (!found || corner.time < out.time)) {
+                out.time = corner.time;
+                out.normal.copy(corner.normal);
+                found = true;
+            }
+        }
+        return found ? out : null;
+    }
+
+    /**
+     * Wake `sleeper` if `other` is awake and moving faster than the sleep threshold,
+     * or is a kinematic body in motion (the solver would let it pass through a sleeper)
+     */
+    wakeOnImpact(sleeper, other) {
+        if (!sleeper.isSleeping || other.isStatic || other.isSleeping) return;
+        const limit = other.isKinematic ? 0 : this.sleepVelocity * this.sleepVelocity;
+        if (other.velocity.lengthSquared() > limit || (other.isKinematic && other.angularVelocity !== 0)) {
+            this.wakeBody(sleeper);
+        }
+    }
+
+    /**
+     * Static, kinematic and sleeping bodies take no impulses and no positional correction
+     */
+    isImmovable(body) {
+        return body.isStatic || body.isKinematic || body.isSleeping;
     }
 
     /**
      * Narrow phase collision detection
+     * Returns a contact manifold with the normal pointing from bodyA to bodyB:
+     * { normal, penetration, contactPoint, contacts: [{ point, penetration }] }
+     * The manifold is the engine's scratch one, overwritten by the next test
      */
     checkCollision(bodyA, bodyB) {
+        const circleA = bodyA.shape === 'circle';
+        const circleB = bodyB.shape === 'circle';
+        const collision = this.manifold;
+
         // Circle-Circle collision
-        if (bodyA.shape === 'circle' && bodyB.shape === 'circle') {
-            const distance = Vec2.distance(bodyA.position, bodyB.position);
+        if (circleA && circleB) {
+            const dx = bodyB.position.x - bodyA.position.x;
+            const dy = bodyB.position.y - bodyA.position.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
             const minDist = bodyA.radius + bodyB.radius;
             
             if (distance < minDist) {
-                const normal = bodyB.position.sub(bodyA.position).normalize();
+                const normal = distance > 0
+                    ? collision.normal.set(dx / distance, dy / distance)
+                    : collision.normal.set(0, 0);
                 const penetration = minDist - distance;
-                const contactPoint = bodyA.position.add(normal.mul(bodyA.radius));
-                
-                return { normal, penetration, contactPoint };
+                this.setContact(collision, 0,
+                    bodyA.position.x + normal.x * bodyA.radius, bodyA.position.y + normal.y * bodyA.radius, penetration);
+                return this.finishManifold(collision, 1);
             }
+            return null;
         }
         
-        // Circle-Rectangle collision (simplified AABB)
-        if ((bodyA.shape === 'circle' && bodyB.shape === 'rectangle') ||
-            (bodyA.shape === 'rectangle' && bodyB.shape === 'circle')) {
-            
-            const circle = bodyA.shape === 'circle' ? bodyA : bodyB;
-            const rect = bodyA.shape === 'rectangle' ? bodyA : bodyB;
-            
-            // Find closest point on rectangle to circle center
-            const halfW = rect.width / 2;
-            const halfH = rect.height / 2;
-            
-            const closestX = Math.max(rect.position.x - halfW, 
-                            Math.min(circle.position.x, rect.position.x + halfW));
-            const closestY = Math.max(rect.position.y - halfH, 
-                            Math.min(circle.position.y, rect.position.y + halfH));
-            
-            const closestPoint = new Vec2(closestX, closestY);
-            const distance = Vec2.distance(circle.position, closestPoint);
-            
-            if (distance < circle.radius) {
-                // Handle edge case where circle center is at closest point
-                let normal;
-                if (distance < 0.001) {
-                    // Use a default normal pointing from rect center to circle
-                    normal = circle.position.sub(rect.position).normalize();
-                    if (normal.length() === 0) {
-                        normal = new Vec2(0, -1);  // Default to upward
-                    }
-                } else {
-                    normal = circle.position.sub(closestPoint).normalize();
-                }
-                
-                const penetration = circle.radius - distance;
-                const contactPoint = closestPoint;
-                
-                // Adjust normal direction based on which body is which
-                const finalNormal = bodyA.shape === 'circle' ? normal : normal.mul(-1);
-                
-                return { normal: finalNormal, penetration, contactPoint };
+        // Circle-Polygon collision (oriented boxes are 4-sided polygons)
+        if (circleA || circleB) {
+            const circle = circleA ? bodyA : bodyB;
+            const polygon = circleA ? bodyB : bodyA;
+            const hit = this.collideCirclePolygon(circle, polygon);
+            if (!hit) return null;
+
+            // hit.normal points from the polygon to the circle
+            if (circleA) {
+                collision.normal.set(hit.normal.x * -1, hit.normal.y * -1);
+            } else {
+                collision.normal.copy(hit.normal);
             }
+            this.setContact(collision, 0, hit.point.x, hit.point.y, hit.penetration);
+            return this.finishManifold(collision, 1);
         }
-        
-        return null;
+
+        // Polygon-Polygon collision
+        return this.collidePolygons(bodyA, bodyB);
+    }
+
+    /**
+     * Empty manifold with room for two contact points
+     * @returns {Object} { normal, penetration, contactPoint, contacts, points (the reusable contacts) }
+     */
+    createManifold() {
+        return {
+            normal: new Vec2(),
+            penetration: 0,
+            contactPoint: new Vec2(),
+            contacts: [],
+            points: [{ point: new Vec2(), penetration: 0 }, { point: new Vec2(), penetration: 0 }]
+        };
+    }
+
+    /**
+     * Write contact point `index` of a manifold
+     */
+    setContact(manifold, index, x, y, penetration) {
+        const contact = manifold.points[index];
+        contact.point.set(x, y);
+        contact.penetration = penetration;
+        manifold.contacts[index] = contact;
+    }
+
+    /**
+     * Keep the first `count` contact points; contactPoint is their average
+     * @returns {Object} The manifold
+     */
+    finishManifold(manifold, count) {
+        const contacts = manifold.contacts;
+        contacts.length = count;
+        let x = 0, y = 0, penetration = 0;
+        for (let i = 0; i < count; i++) {
+            x += contacts[i].point.x;
+            y += contacts[i].point.y;
+            penetration = Math.max(penetration, contacts[i].penetration);
+        }
+        manifold.penetration = penetration;
+        manifold.contactPoint.set(x / count, y / count);
+        return manifold;
+    }
+
+    /**
+     * Copy a manifold into another (a pair entry's own, which outlives the scratch one)
+     * @returns {Object} target
+     */
+    copyManifold(source, target) {
+        const count = source.contacts.length;
+        target.normal.copy(source.normal);
+        for (let i = 0; i < count; i++) {
+            const contact = source.contacts[i];
+            this.setContact(target, i, contact.point.x, contact.point.y, contact.penetration);
+        }
+        target.contacts.length = count;
+        target.penetration = source.penetration;
+        target.contactPoint.copy(source.contactPoint);
+        return target;
+    }
+
+    /**
+     * Circle vs convex polygon: closest feature (face or corner) of the polygon
+     * @param {Object} circle - { position, radius }
+     * @returns {Object|null} { normal (polygon → circle), penetration, point } or null;
+     *                        reused by the next call
+     */
+    collideCirclePolygon(circle, polygon) {
+        const center = circle.position;
+        const radius = circle.radius;
+        const { vertices, normals } = polygon.getWorldGeometry();
+        const count = vertices.length;
+        const hit = this.circleHit;
+
+        // Face of least penetration (largest signed distance from a face plane)
+        let separation = -Infinity;
+        let face = 0;
+        for (let i = 0; i < count; i++) {
+            const normal = normals[i];
+            const distance = normal.x * (center.x - vertices[i].x) + normal.y * (center.y - vertices[i].y);
+            if (distance >= radius) return null;
+            if (distance > separation) {
+                separation = distance;
+                face = i;
+            }
+        }
+
+        const v1 = vertices[face];
+        const v2 = vertices[(face + 1) % count];
+        const faceNormal = normals[face];
+
+        // Voronoi regions of the two corners of the closest face (center outside the polygon)
+        const ex = v2.x - v1.x;
+        const ey = v2.y - v1.y;
+        const corner = separation < 0 ? null
+                     : (center.x - v1.x) * ex + (center.y - v1.y) * ey <= 0 ? v1
+                     : (center.x - v2.x) * (v1.x - v2.x) + (center.y - v2.y) * (v1.y - v2.y) <= 0 ? v2
+                     : null;
+        if (corner) {
+            const ox = center.x - corner.x;
+            const oy = center.y - corner.y;
+            const distance = Math.sqrt(ox * ox + oy * oy);
+            if (distance >= radius) return null;
+            if (distance > 0.001) {
+                hit.normal.set(ox * (1 / distance), oy * (1 / distance));
+            } else {
+                hit.normal.copy(faceNormal);
+            }
+            hit.penetration = radius - distance;
+            hit.point.copy(corner);
+            return hit;
+        }
+
+        // Face region, or center inside the polygon: push out through the nearest face
+        hit.normal.copy(faceNormal);
+        hit.penetration = radius - separation;
+        hit.point.set(center.x - faceNormal.x * separation, center.y - faceNormal.y * separation);
+        return hit;
+    }
+
+    /**
+     * Separating Axis Theorem for two convex polygons, with reference-face clipping
+     * to produce up to two contact points
+     */
+    collidePolygons(bodyA, bodyB) {
+        const geometryA = bodyA.getWorldGeometry();
+        const geometryB = bodyB.getWorldGeometry();
+
+        const axisA = this.findLeastPenetrationAxis(geometryA, geometryB.vertices, this.axisA);
+        if (axisA.separation >= 0) return null;
+        const axisB = this.findLeastPenetrationAxis(geometryB, geometryA.vertices, this.axisB);
+        if (axisB.separation >= 0) return null;
+
+        // Reference face: the axis with least penetration (small bias keeps the choice stable)
+        const flip = axisB.separation > axisA.separation * 0.95 + 0.01;
+        const refVerts = flip ? geometryB.vertices : geometryA.vertices;
+        const incident = flip ? geometryA : geometryB;
+        const refIndex = flip ? axisB.index : axisA.index;
+
+        const ref1 = refVerts[refIndex];
+        const ref2 = refVerts[(refIndex + 1) % refVerts.length];
+        const refNormal = (flip ? geometryB : geometryA).normals[refIndex];
+
+        // Incident face: the face of the other polygon most opposed to the reference normal
+        const incVerts = incident.vertices;
+        let incIndex = 0;
+        let minDot = Infinity;
+        for (let i = 0; i < incVerts.length; i++) {
+            const d = incident.normals[i].dot(refNormal);
+            if (d < minDot) {
+                minDot = d;
+                incIndex = i;
+            }
+        }
+        const segment = this.clipPoints;
+        const clipped = this.clippedPoints;
+        segment[0].copy(incVerts[incIndex]);
+        segment[1].copy(incVerts[(incIndex + 1) % incVerts.length]);
+
+        // Clip the incident edge to the side planes of the reference face
+        const ex = ref2.x - ref1.x;
+        const ey = ref2.y - ref1.y;
+        const length = Math.sqrt(ex * ex + ey * ey);
+        const tx = length > 0 ? ex / length : 0;
+        const ty = length > 0 ? ey / length : 0;
+        if (this.clipSegment(segment, tx * -1, ty * -1, -(tx * ref1.x + ty * ref1.y), clipped) < 2) return null;
+        if (this.clipSegment(clipped, tx, ty, tx * ref2.x + ty * ref2.y, segment) < 2) return null;
+
+        // Keep the points behind the reference face
+        const collision = this.manifold;
+        let count = 0;
+        for (let i = 0; i < 2; i++) {
+            const point = segment[i];
+            const depth = refNormal.x * (point.x - ref1.x) + refNormal.y * (point.y - ref1.y);
+            if (depth <= 0) {
+                this.setContact(collision, count++, point.x, point.y, -depth);
+            }
+        }
+        if (count === 0) return null;
+
+        // Reference normal points out of the reference body; the manifold wants A → B
+        if (flip) {
+            collision.normal.set(refNormal.x * -1, refNormal.y * -1);
+        } else {
+            collision.normal.copy(refNormal);
+        }
+        return this.finishManifold(collision, count);
+    }
+
+    /**
+     * For each face of `geometry`, the signed distance of the deepest point of `other`
+     * @param {Object} geometry - { vertices, normals } from getWorldGeometry()
+     * @param {Vec2[]} other - Vertices of the other polygon
+     * @param {Object} out - Receives the result
+     * @returns {Object} out as { separation, index } of the face with the largest separation
+     */
+    findLeastPenetrationAxis(geometry, other, out) {
+        const { vertices, normals } = geometry;
+        out.separation = -Infinity;
+        out.index = 0;
+        for (let i = 0; i < vertices.length; i++) {
+            const v1 = vertices[i];
+            const normal = normals[i];
+
+            // Support point of the other polygon along -normal
+            let deepest = Infinity;
+            for (let j = 0; j < other.length; j++) {
+                const v = other[j];
+                deepest = Math.min(deepest, normal.x * (v.x - v1.x) + normal.y * (v.y - v1.y));
+            }
+
+            if (deepest > out.separation) {
+                out.separation = deepest;
+                out.index = i;
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Keep the part of segment [p1, p2] where (nx, ny) · p <= offset
+     * @param {Vec2[]} segment - [p1, p2]
+     * @param {Vec2[]} out - Receives the points kept (up to two)
+     * @returns {number} Number of points written to out
+     */
+    clipSegment(segment, nx, ny, offset, out) {
+        const p1 = segment[0];
+        const p2 = segment[1];
+        const d1 = (nx * p1.x + ny * p1.y) - offset;
+        const d2 = (nx * p2.x + ny * p2.y) - offset;
+        let count = 0;
+        if (d1 <= 0) out[count++].copy(p1);
+        if (d2 <= 0) out[count++].copy(p2);
+        if (d1 * d2 < 0) {
+            const t = d1 / (d1 - d2);
+            out[count++].set(p1.x + (p2.x - p1.x) * t, p1.y + (p2.y - p1.y) * t);
+        }
+        return count;
     }
 
     /**
      * Impulse-based collision resolution
      * Implements the constraint: relative velocity along normal should be zero after collision
+     * @returns {number} Total normal impulse applied over the contact points
      */
     resolveCollision(bodyA, bodyB, collision) {
         const { normal, penetration, contactPoint } = collision;
+        const fixedA = this.isImmovable(bodyA);
+        const fixedB = this.isImmovable(bodyB);
         
         // Separate bodies to prevent overlap
+        // Shares by inverse mass: m_B/(m_A+m_B) for two dynamic bodies, all of it
+        // for the movable one when the other is static or sleeping (a static body's
+        // placeholder mass of 1 must not scale how far a ball is pushed out of it)
         if (penetration > 0) {
-            const totalMass = bodyA.isStatic ? bodyB.mass : 
-                             bodyB.isStatic ? bodyA.mass : 
-                             bodyA.mass + bodyB.mass;
+            const invMassA = fixedA ? 0 : 1 / bodyA.mass;
+            const invMassB = fixedB ? 0 : 1 / bodyB.mass;
+            const totalInvMass = invMassA + invMassB;
             
-            if (!bodyA.isStatic) {
-                const moveA = normal.mul(-penetration * (bodyB.mass / totalMass));
-                bodyA.position = bodyA.position.add(moveA);
+            if (!fixedA) {
+                bodyA.position.addScaledSelf(normal, -penetration * (invMassA / totalInvMass));
             }
             
-            if (!bodyB.isStatic) {
-                const moveB = normal.mul(penetration * (bodyA.mass / totalMass));
-                bodyB.position = bodyB.position.add(moveB);
+            if (!fixedB) {
+                bodyB.position.addScaledSelf(normal, penetration * (invMassB / totalInvMass));
             }
         }
-        
-        // Calculate relative velocity at contact point
-        const velA = bodyA.getPointVelocity(contactPoint);
-        const velB = bodyB.getPointVelocity(contactPoint);
-        const relativeVel = velB.sub(velA);
-        
-        // Velocity along collision normal
-        const velAlongNormal = relativeVel.dot(normal);
+
+        // Impulses at each manifold point (a box resting flat has two)
+        const contacts = collision.contacts;
+        if (!contacts) {
+            return this.applyContactImpulse(bodyA, bodyB, normal, contactPoint);
+        }
+        let impulse = 0;
+        for (let i = 0; i < contacts.length; i++) {
+            impulse += this.applyContactImpulse(bodyA, bodyB, normal, contacts[i].point);
+        }
+        return impulse;
+    }
+
+    /**
+     * Relative velocity (bodyB - bodyA) at a world point, along the direction (dx, dy)
+     * Same arithmetic as getPointVelocity() without the intermediate vectors
+     */
+    relativeVelocityAlong(bodyA, bodyB, point, dx, dy) {
+        let ax = 0, ay = 0, bx = 0, by = 0;
+        if (!bodyA.isStatic) {
+            const w = bodyA.angularVelocity;
+            ax = bodyA.velocity.x + -w * (point.y - bodyA.position.y);
+            ay = bodyA.velocity.y + w * (point.x - bodyA.position.x);
+        }
+        if (!bodyB.isStatic) {
+            const w = bodyB.angularVelocity;
+            bx = bodyB.velocity.x + -w * (point.y - bodyB.position.y);
+            by = bodyB.velocity.y + w * (point.x - bodyB.position.x);
+        }
+        return (bx - ax) * dx + (by - ay) * dy;
+    }
+
+    /**
+     * Restitution and friction impulses at a single contact point
+     * @returns {number} Normal impulse applied (0 if the bodies were separating)
+     */
+    applyContactImpulse(bodyA, bodyB, normal, contactPoint) {
+        const fixedA = this.isImmovable(bodyA);
+        const fixedB = this.isImmovable(bodyB);
+
+        // Relative velocity at the contact point, along the collision normal
+        const velAlongNormal = this.relativeVelocityAlong(bodyA, bodyB, contactPoint, normal.x, normal.y);
         
         // Don't resolve if velocities are separating
-        if (velAlongNormal > 0) return;
+        if (velAlongNormal > 0) return 0;
         
-        // Calculate restitution (bounciness)
-        const restitution = Math.min(bodyA.restitution, bodyB.restitution);
+        // Calculate restitution (bounciness): the material pair's if set, otherwise
+        // the lower of the two; a bumper (restitution above 1) kicks every body
+        const pair = this.getMaterialPair(bodyA, bodyB);
+        const restitution = pair && pair.restitution !== undefined ? pair.restitution
+            : bodyA.restitution > 1 || bodyB.restitution > 1
+                ? Math.max(bodyA.restitution, bodyB.restitution)
+                : Math.min(bodyA.restitution, bodyB.restitution);
         
         // Calculate impulse scalar
-        // j = -(1 + e) * v_rel · n / (1/m_a + 1/m_b)
-        const invMassA = bodyA.isStatic ? 0 : 1 / bodyA.mass;
-        const invMassB = bodyB.isStatic ? 0 : 1 / bodyB.mass;
+        // j = -(1 + e) * v_rel · n / (1/m_a + 1/m_b + (r_a × n)²/I_a + (r_b × n)²/I_b)
+        // The rotational terms vanish for circles (r is parallel to n) and matter for boxes/polygons
+        const invMassA = fixedA ? 0 : 1 / bodyA.mass;
+        const invMassB = fixedB ? 0 : 1 / bodyB.mass;
+        const rnA = (contactPoint.x - bodyA.position.x) * normal.y - (contactPoint.y - bodyA.position.y) * normal.x;
+        const rnB = (contactPoint.x - bodyB.position.x) * normal.y - (contactPoint.y - bodyB.position.y) * normal.x;
+        const angularA = fixedA ? 0 : (rnA * rnA) / bodyA.inertia;
+        const angularB = fixedB ? 0 : (rnB * rnB) / bodyB.inertia;
         
         let impulseScalar = -(1 + restitution) * velAlongNormal;
-        impulseScalar /= (invMassA + invMassB);
+        impulseScalar /= (invMassA + invMassB + angularA + angularB);
         
         // Apply impulse
-        const impulse = normal.mul(impulseScalar);
+        const ix = normal.x * impulseScalar;
+        const iy = normal.y * impulseScalar;
         
-        if (!bodyA.isStatic) {
-            bodyA.applyImpulse(impulse.mul(-1), contactPoint);
+        if (!fixedA) {
+            bodyA.applyImpulseAt(-ix, -iy, contactPoint.x, contactPoint.y);
         }
         
-        if (!bodyB.isStatic) {
-            bodyB.applyImpulse(impulse, contactPoint);
+        if (!fixedB) {
+            bodyB.applyImpulseAt(ix, iy, contactPoint.x, contactPoint.y);
         }
         
         // Apply friction
-        this.applyFriction(bodyA, bodyB, normal, contactPoint, impulseScalar);
+        this.applyFriction(bodyA, bodyB, normal, contactPoint, impulseScalar, pair);
+        return impulseScalar;
     }
 
     /**
      * Apply tangential friction impulse
+     * @param {Object|null} pair - Material pair of the bodies (getMaterialPair())
      */
-    applyFriction(bodyA, bodyB, normal, contactPoint, normalImpulse) {
-        // Get relative velocity
-        const velA = bodyA.getPointVelocity(contactPoint);
-        const velB = bodyB.getPointVelocity(contactPoint);
-        const relativeVel = velB.sub(velA);
-        
-        // Get tangent vector (perpendicular to normal)
-        const tangent = new Vec2(-normal.y, normal.x);
+    applyFriction(bodyA, bodyB, normal, contactPoint, normalImpulse, pair) {
+        const fixedA = this.isImmovable(bodyA);
+        const fixedB = this.isImmovable(bodyB);
+
+        // Tangent vector (perpendicular to normal)
+        const tx = -normal.y;
+        const ty = normal.x;
         
-        // Velocity along tangent
-        const velAlongTangent = relativeVel.dot(tangent);
+        // Relative velocity along tangent
+        const velAlongTangent = this.relativeVelocityAlong(bodyA, bodyB, contactPoint, tx, ty);
         
-        // Calculate friction coefficient
-        const friction = (bodyA.friction + bodyB.friction) / 2;
+        // Calculate friction coefficient: the material pair's if set, otherwise the mean
+        const friction = pair && pair.friction !== undefined ? pair.friction
+            : (bodyA.friction + bodyB.friction) / 2;
         
         // Coulomb friction: F_friction <= μ * F_normal
         let frictionImpulse = -velAlongTangent;
-        const invMassA = bodyA.isStatic ? 0 : 1 / bodyA.mass;
-        const invMassB = bodyB.isStatic ? 0 : 1 / bodyB.mass;
+        const invMassA = fixedA ? 0 : 1 / bodyA.mass;
+        const invMassB = fixedB ? 0 : 1 / bodyB.mass;
         frictionImpulse /= (invMassA + invMassB);
         
         // Clamp friction impulse by Coulomb's law
         const maxFriction = Math.abs(normalImpulse * friction);
         frictionImpulse = Math.max(-maxFriction, Math.min(maxFriction, frictionImpulse));
         
-        const frictionVector = tangent.mul(frictionImpulse);
+        const fx = tx * frictionImpulse;
+        const fy = ty * frictionImpulse;
         
         // Apply friction impulse
-        if (!bodyA.isStatic) {
-            bodyA.applyImpulse(frictionVector.mul(-1), contactPoint);
+        if (!fixedA) {
+            bodyA.applyImpulseAt(-fx, -fy, contactPoint.x, contactPoint.y);
         }
         
-        if (!bodyB.isStatic) {
-            bodyB.applyImpulse(frictionVector, contactPoint);
+        if (!fixedB) {
+            bodyB.applyImpulseAt(fx, fy, contactPoint.x, contactPoint.y);
         }
     }
 
     /**
      * Get interpolated position for smooth rendering
+     * @param {Vec2} [out] - Vector to write into instead of allocating one
      */
-    getInterpolatedPosition(body, alpha) {
-        return new Vec2(
+    getInterpolatedPosition(body, alpha, out = new Vec2()) {
+        return out.set(
             body.prevPosition.x + (body.position.x - body.prevPosition.x) * alpha,
             body.prevPosition.y + (body.position.y - body.prevPosition.y) * alpha
         );
@@ -650,15 +2381,19 @@ class PhysicsEngine {
      */
     clear() {
         this.bodies = [];
+        this.staticHashDirty = true;
+        this.activePairs.clear();
+        this.touchingPairs.clear();
     }
 }
 
 // Export for use in the game
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PhysicsEngine, RigidBody, Vec2 };
-} else if (typeof window !== 'undefined') {
-    // Browser global exports
-    window.PhysicsEngine = PhysicsEngine;
-    window.RigidBody = RigidBody;
-    window.Vec2 = Vec2;
+    module.exports = { PhysicsEngine, RigidBody, Vec2, SeededRandom };
+} else if (typeof self !== 'undefined') {
+    // Browser (and Web Worker) global exports
+    self.PhysicsEngine = PhysicsEngine;
+    self.RigidBody = RigidBody;
+    self.Vec2 = Vec2;
+    self.SeededRandom = SeededRandom;
 }
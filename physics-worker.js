@@ -0,0 +1,166 @@
+/**
+ * Physics Web Worker
+ * Optional mode of the game page: the PhysicsEngine runs here, off the main thread,
+ * so rendering, floaters and audio stay responsive during heavy auto-play. The page
+ * keeps a mirror engine with the same board for rendering and for settling balls
+ * itself before a rebuild (see the PHYSICS WORKER section of index.html).
+ *
+ * Messages in:
+ *   { type: 'init', generation, width, height, layout, ballContact, trace }  build the board (no balls)
+ *   { type: 'ballContact', enabled }  switch the physics mode
+ *   { type: 'trace', enabled }        record ball positions after every step (the page is recording)
+ *   { type: 'add', id, record }       drop a ball; id is the mirror ball's body id
+ *   { type: 'remove', id }            take out a ball the page has settled itself
+ *   { type: 'wake', id }              wake a sleeping ball (it blocks a held drop on the page)
+ *   { type: 'step', dt }              advance by dt seconds (fixed-timestep accumulator)
+ *
+ * Every 'step' is answered with one frame:
+ *   { type: 'frame', generation, stepCount, alpha, states, trace, events, stats }
+ * states is a Float64Array of ball rows (writeBallStates() in plinko-board.js), transferred
+ * rather than copied. trace, while tracing, is a Float64Array of [id, step, x, y] rows: each
+ * ball's position after each step of the frame, in step order (null otherwise). stats is
+ * engine.getStats(), for the page's debug view.
+ * events are what happened since the previous frame, in order:
+ *   { type: 'settled', id, bucketIndex, outcome, x, y }  landed in a bucket, or assigned by the lost-ball rule
+ *   { type: 'refunded', id, x, y }                        escaped the board
+ *   { type: 'pegHit', id, step, column, row, speed }      a peg impact worth a sound (getPegImpact())
+ */
+
+importScripts('physics-engine.js', 'plinko-board.js');
+
+const {
+    GRAVITY, buildLevel, configureBallContact, createBall, getLanding, checkLostBall, getPegImpact, writeBallStates
+} = PlinkoBoard;
+
+let engine = null;
+let board = null;        // buildLevel() data of the board in play
+let generation = 0;      // Echoed in frames so the page can drop frames of a replaced board
+const balls = new Map(); // Page id → ball
+let events = [];
+let tracing = false;     // The page is recording: keep every step's ball positions
+let tracePoints = [];    // [id, step, x, y, ...] since the previous frame
+
+function init(message) {
+    generation = message.generation;
+    engine = new PhysicsEngine({ gravity: GRAVITY });
+    board = buildLevel(engine, message);
+    configureBallContact(engine, message.ballContact);
+    engine.onCollision(handleCollision);
+    engine.on('collisionStart', handleCollisionStart);
+    engine.on('afterStep', traceStep);
+    engine.on('afterStep', checkLostBalls);
+    balls.clear();
+    events = [];
+    tracing = Boolean(message.trace);
+    tracePoints = [];
+}
+
+function addBall(id, record) {
+    const ball = createBall(board, record);
+    ball.plugin.ballId = id;
+    ball.plugin.spawnStep = engine.stepCount;
+    engine.addBody(ball);
+    balls.set(id, ball);
+}
+
+/**
+ * Take a ball out of play and report it to the page
+ * @param {RigidBody} ball - Active ball
+ * @param {Object} event - Event without id and position ('settled' or 'refunded')
+ */
+function finishBall(ball, event) {
+    ball.plugin.active = false;
+    events.push({ ...event, id: ball.plugin.ballId, x: ball.position.x, y: ball.position.y });
+    balls.delete(ball.plugin.ballId);
+    engine.removeBody(ball);
+}
+
+function handleCollision(event) {
+    const landing = getLanding(event);
+    if (landing) {
+        finishBall(landing.ball, { type: 'settled', bucketIndex: landing.sensor.plugin.bucketIndex, outcome: 'landed' });
+    }
+}
+
+function handleCollisionStart(event) {
+    const impact = getPegImpact(event, board);
+    if (impact) {
+        events.push({
+            type: 'pegHit', id: impact.ball.plugin.ballId, step: engine.stepCount,
+            column: impact.column, row: impact.row, speed: impact.speed
+        });
+    }
+}
+
+/**
+ * Note where every ball in play is after a step, for the page's traces
+ */
+function traceStep() {
+    if (!tracing) return;
+    balls.forEach(ball => tracePoints.push(ball.plugin.ballId, engine.stepCount, ball.position.x, ball.position.y));
+}
+
+/**
+ * Apply the lost-ball rule after every step, as simulateReplay() does
+ */
+function checkLostBalls() {
+    balls.forEach(ball => {
+        const lost = checkLostBall(ball, board, engine.stepCount);
+        if (!lost) return;
+        finishBall(ball, lost.outcome === 'refunded'
+            ? { type: 'refunded' }
+            : { type: 'settled', bucketIndex: lost.bucketIndex, outcome: lost.outcome });
+    });
+}
+
+/**
+ * Advance the engine and post the frame
+ */
+function step(dt) {
+    const alpha = engine.update(dt);
+
+    const states = writeBallStates([...balls.values()]);
+    const trace = tracing ? new Float64Array(tracePoints) : null;
+    self.postMessage(
+        { type: 'frame', generation, stepCount: engine.stepCount, alpha, states, trace, events, stats: engine.getStats() },
+        trace ? [states.buffer, trace.buffer] : [states.buffer]
+    );
+    events = [];
+    tracePoints = [];
+}
+
+self.onmessage = ({ data: message }) => {
+    switch (message.type) {
+        case 'init':
+            init(message);
+            break;
+        case 'ballContact':
+            configureBallContact(engine, message.enabled);
+            break;
+        case 'trace':
+            tracing = message.enabled;
+            tracePoints = [];
+            break;
+        case 'add':
+            addBall(message.id, message.record);
+            break;
+        case 'remove': {
+            const ball = balls.get(message.id);
+            if (ball) {
+                balls.delete(message.id);
+                engine.removeBody(ball);
+            }
+            break;
+        }
+        case 'wake': {
+            const ball = balls.get(message.id);
+            if (ball) engine.wakeBody(ball);
+            break;
+        }
+        case 'step':
+            step(message.dt);
+            break;
+        default:
+            console.warn(`Unknown physics worker message: ${message.type}`);
+    }
+};
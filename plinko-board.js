@@ -0,0 +1,1358 @@
+/**
+ * Plinko Board Construction and Scoring
+ * DOM-free board geometry, ball spawning and landing detection shared by the
+ * game page (index.html) and the headless simulation runner (simulate.js).
+ *
+ * Everything here depends only on a PhysicsEngine and plain numbers, so a board
+ * can be built without a canvas and stepped at full speed with engine.step().
+ */
+
+const PlinkoBoard = (function () {
+    // Engine classes: required in Node, browser globals otherwise (physics-engine.js loads first)
+    const { PhysicsEngine, RigidBody, Vec2, SeededRandom } =
+        typeof module !== 'undefined' && module.exports ? require('./physics-engine.js') : self;
+
+    // Risk levels shape the generated multiplier tables: before scaling to the
+    // target RTP, each bucket pays `growth` times its inner neighbour
+    const RISK_LEVELS = {
+        low: { label: 'Low', growth: 1.6 },
+        medium: { label: 'Medium', growth: 2.2 },
+        high: { label: 'High', growth: 3.2 }
+    };
+    const DEFAULT_RISK = 'medium';
+    const TARGET_RTP = 0.99;  // Expected payout per unit bet of a generated table
+
+    // Bucket probabilities of the standard boards as the physics plays them, which is much
+    // wider than binomial: bounces skip rows and balls roll down the outer pegs. Measured
+    // with the default ball (35% of the gap, steel, no ball contact) on simulate.js's
+    // 1000 × 800 board, each bucket averaged with its mirror image:
+    //   node simulate.js --rows 8,9,10,11,12,13,14,15,16 --balls 20000 --seed 2
+    // Re-measure after any change to the physics or the board geometry
+    const MEASURED_PROBABILITIES = {
+        8: [0.05525, 0.095925, 0.2471, 0.20345, 0.2471, 0.095925, 0.05525],
+        9: [0.054625, 0.068375, 0.16945, 0.20755, 0.20755, 0.16945, 0.068375, 0.054625],
+        10: [0.0314, 0.062325, 0.13345, 0.162825, 0.22, 0.162825, 0.13345, 0.062325, 0.0314],
+        11: [0.038, 0.056425, 0.1256, 0.1337, 0.146275, 0.146275, 0.1337, 0.1256, 0.056425, 0.038],
+        12: [0.041675, 0.0333, 0.094975, 0.106225, 0.142125, 0.1634, 0.142125, 0.106225, 0.094975, 0.0333, 0.041675],
+        13: [0.035375, 0.038675, 0.072825, 0.103375, 0.117875, 0.131875, 0.131875, 0.117875, 0.103375, 0.072825, 0.038675, 0.035375],
+        14: [0.0198, 0.023925, 0.045875, 0.082975, 0.110275, 0.141, 0.1523, 0.141, 0.110275, 0.082975, 0.045875, 0.023925, 0.0198],
+        15: [0.053175, 0.0226, 0.055975, 0.05765, 0.0886, 0.107325, 0.114675, 0.114675, 0.107325, 0.0886, 0.05765, 0.055975, 0.0226, 0.053175],
+        16: [0.03665, 0.0265, 0.034, 0.05935, 0.075175, 0.09375, 0.1138, 0.12155, 0.1138, 0.09375, 0.075175, 0.05935, 0.034, 0.0265, 0.03665]
+    };
+
+    const GRAVITY = 980;  // pixels/s², approximates 9.8 m/s² at ~100 pixels/meter
+    const MAX_REPLAY_STEPS = 60 * 60;  // Give up on a replay after one simulated minute
+    const BALL_TIMEOUT_STEPS = 60 * 15;  // A ball that hasn't landed after 15 simulated seconds is stuck
+
+    // Board layouts (pegs + multipliers) are plain JSON in units of the peg gap:
+    // x from the board center, y in rows from the top (standard pegs sit at integer rows)
+    const LAYOUT_VERSION = 1;
+    const MIN_ROWS = 3;
+    const MAX_ROWS = 24;
+    const WALL_TOP_ROW = 1.5;  // Playfield starts here; above it is the drop chute
+    const WALL_CLEARANCE = 0.8; // Gaps between the outer pegs and the side walls (wider than the largest ball)
+    const AIM_MARGIN = 1;      // px kept between an aimed ball and the chute (covers the ±0.5 px spawn jitter)
+    const DROP_SPACING = 1.1;  // Centre distance of balls dropped together, in ball diameters
+
+    // Special boards: optional lists a layout may add next to its pegs (same units; pegs
+    // may also move). Motions use seconds and degrees (see validateMotion)
+    const SPECIAL_OBJECTS = ['bumpers', 'bars', 'zones'];
+    const MOTION_TYPES = ['oscillate', 'swing', 'rotate'];
+    const ZONE_TYPES = ['wind', 'magnet', 'slow'];
+    const BUMPER_RADIUS = 0.2;       // Default bumper radius (gaps)
+    const BUMPER_RESTITUTION = 1.5;  // Default bumper kick: rebounds at 1.5× the impact speed
+    const MAX_BAR_LENGTH = 3;        // gaps
+    const BAR_THICKNESS = 0.12;      // gaps
+    const ZONE_STYLES = {
+        wind: 'rgba(56, 189, 248, 0.12)',
+        magnet: 'rgba(244, 114, 182, 0.12)',
+        slow: 'rgba(163, 230, 53, 0.12)'
+    };
+
+    // Solver settings for ball-to-ball contact: stacked balls need several
+    // relaxation passes, and sleeping stops resting piles from jittering
+    const CONTACT_SOLVER = { iterations: 4, enableSleeping: true };
+    const GHOST_SOLVER = { iterations: 1, enableSleeping: false };
+
+    // Ball materials a drop can use (record.material); steel is the original ball, so records
+    // without a material spawn exactly as before. Densities are per px² (steel 7.85 g/cm³ → 0.008)
+    const MATERIALS = {
+        steel: {
+            label: 'Steel', restitution: 0.35, friction: 0.08, frictionAir: 0.005, density: 0.008,
+            render: { fillStyle: '#ff0055', strokeStyle: '#ff88aa', lineWidth: 2 }
+        },
+        rubber: {
+            label: 'Rubber', restitution: 0.8, friction: 0.6, frictionAir: 0.01, density: 0.0012,
+            render: { fillStyle: '#f97316', strokeStyle: '#fdba74', lineWidth: 2 }
+        },
+        glass: {
+            label: 'Glass', restitution: 0.55, friction: 0.04, frictionAir: 0.004, density: 0.0025,
+            render: { fillStyle: 'rgba(125, 211, 252, 0.55)', strokeStyle: '#e0f2fe', lineWidth: 2 }
+        },
+        wood: {
+            label: 'Wood', restitution: 0.25, friction: 0.3, frictionAir: 0.008, density: 0.0007,
+            render: { fillStyle: '#b45309', strokeStyle: '#fcd34d', lineWidth: 2 }
+        }
+    };
+    const DEFAULT_MATERIAL = 'steel';
+    const BOARD_MATERIAL = 'plastic';  // Pegs, bars and walls (bumpers keep their own kick)
+
+    // Contact coefficients per material pair (PhysicsEngine.setMaterialPair), replacing the
+    // per-body min restitution / mean friction: a rubber ball keeps its bounce off hard plastic
+    // instead of being capped by the peg. Steel has no entries and keeps the per-body rule
+    const MATERIAL_PAIRS = [
+        ['rubber', BOARD_MATERIAL, { restitution: 0.75, friction: 0.5 }],
+        ['rubber', 'rubber', { restitution: 0.85, friction: 0.8 }],
+        ['glass', BOARD_MATERIAL, { restitution: 0.6, friction: 0.05 }],
+        ['glass', 'glass', { restitution: 0.65, friction: 0.03 }],
+        ['wood', BOARD_MATERIAL, { restitution: 0.3, friction: 0.25 }],
+        ['wood', 'wood', { restitution: 0.2, friction: 0.4 }]
+    ];
+
+    const MIN_EXPECTED = 5;  // Smallest expected count per chi-square bin
+    const MAX_IN_FLIGHT = 64;  // Balls in the air at once in a batch simulation
+
+    // Speed change (pixels/s) a ball-peg contact must give the ball to be a hit worth a sound:
+    // the solver's normal impulse over the ball's mass, (1 + 0.35) × impact speed, so this is
+    // an impact of ~50 px/s; grazes and settling nudges stay quiet
+    const PEG_IMPACT_THRESHOLD = 65;
+    const IMPACT_LABELS = ['peg', 'bumper', 'bar'];  // Obstacles whose hits are heard
+
+    // Collision categories (collisionFilter.category bits) of the board's bodies, for
+    // masks and engine queries; every body keeps the default mask (collides with all)
+    const CATEGORIES = {
+        ball: 0x0001,
+        peg: 0x0002,
+        wall: 0x0004,    // Side walls, chute, dividers and floor
+        sensor: 0x0008,  // Bucket sensors
+        bumper: 0x0010,
+        bar: 0x0020,
+        zone: 0x0040
+    };
+
+    // Provably-fair drops (commit/reveal): a drop's seed is the first 4 bytes (big-endian) of
+    // HMAC-SHA256(key: server seed, message: `${clientSeed}:${nonce}`). The SHA-256 of the server
+    // seed is published before its first drop and the seed itself when it is rotated out
+    const SERVER_SEED_BYTES = 32;
+
+    // Ball state rows in physics worker snapshots (Float64Array, BALL_STATE_STRIDE numbers per ball):
+    // enough to render the ball and to carry on simulating it in another engine
+    const BALL_STATE_STRIDE = 13;
+
+    /**
+     * Stretch or shrink a multiplier table to a new bucket count
+     * Each bucket takes the value at the same relative position, mirrored
+     * around the center so symmetric tables stay symmetric
+     * @param {number[]} mults - Source table
+     * @param {number} count - Bucket count of the new table
+     * @returns {number[]} New table
+     */
+    function resampleMultipliers(mults, count) {
+        const last = mults.length - 1;
+        return Array.from({ length: count }, (_, i) => {
+            const pos = count > 1 ? i * last / (count - 1) : last / 2;
+            const index = pos <= last / 2 ? Math.round(pos) : last - Math.round(last - pos);
+            return mults[index];
+        });
+    }
+
+    /**
+     * Bucket probabilities of an ideal board: every peg row is a fair left/right
+     * bounce, so a ball ends in bucket k with probability C(n, k) / 2^n, n = buckets - 1
+     * @param {number} numBuckets - Bucket count
+     * @returns {number[]} Probability per bucket
+     */
+    function binomialProbabilities(numBuckets) {
+        const n = numBuckets - 1;
+        const probs = [];
+        let coefficient = 1;
+        for (let k = 0; k <= n; k++) {
+            probs.push(coefficient / Math.pow(2, n));
+            coefficient = coefficient * (n - k) / (k + 1);
+        }
+        return probs;
+    }
+
+    /**
+     * Bucket probabilities the generated tables are priced with: the measured ones
+     * of the standard board (MEASURED_PROBABILITIES), or the binomial ones for row
+     * counts that were not measured
+     * @param {number} rows - Row count (buckets = rows - 1)
+     * @returns {number[]} Probability per bucket
+     */
+    function bucketProbabilities(rows) {
+        const measured = MEASURED_PROBABILITIES[rows];
+        return measured ? measured.slice() : binomialProbabilities(rows - 1);
+    }
+
+    /**
+     * Expected payout per unit bet of a table on the standard board of its size
+     * @param {number[]} mults - Multiplier per bucket
+     * @returns {number} RTP (1.0 = break-even)
+     */
+    function expectedRtp(mults) {
+        return bucketProbabilities(mults.length + 1).reduce((sum, p, k) => sum + p * mults[k], 0);
+    }
+
+    /**
+     * Whether a layout is the standard triangle of its row count: the same fixed
+     * pegs and nothing else, whatever its multipliers
+     * @param {Object} layout - Layout (pegs in layout units)
+     * @returns {boolean}
+     */
+    function isStandardBoard(layout) {
+        if (SPECIAL_OBJECTS.some(key => layout[key] && layout[key].length > 0)) return false;
+        const key = peg => `${peg.x},${peg.y}`;
+        const standard = new Set(standardPegs(layout.rows).map(key));
+        return layout.pegs.length === standard.size &&
+            layout.pegs.every(peg => !peg.motion && standard.has(key(peg)));
+    }
+
+    /**
+     * Bucket probabilities the physics should produce on a layout
+     * The standard triangle gets bucketProbabilities(rows), measured where available.
+     * Any other layout gets the model of an ideal board with its own pegs: the ball
+     * falls straight down from the drop point, a peg within half a gap of its x
+     * splits it 50/50 to half a gap either side of the peg, and a ball that meets
+     * no more pegs ends in the bucket below it (binomial for the standard triangle)
+     * @param {Object} layout - Layout (pegs in layout units)
+     * @returns {number[]} Probability per bucket
+     */
+    function modelProbabilities(layout) {
+        if (isStandardBoard(layout)) return bucketProbabilities(layout.rows);
+        const numBuckets = layout.multipliers.length;
+        const pegs = layout.pegs.slice().sort((a, b) => a.y - b.y);
+        const memo = new Map();
+
+        // Distribution over buckets of a ball at x that has just passed height y
+        function fall(x, y) {
+            const key = `${x.toFixed(6)},${y}`;
+            if (memo.has(key)) return memo.get(key);
+
+            let hit = null;
+            for (const peg of pegs) {
+                if (peg.y <= y) continue;
+                if (hit && peg.y > hit.y) break;
+                if (Math.abs(peg.x - x) < 0.5 && (!hit || Math.abs(peg.x - x) < Math.abs(hit.x - x))) hit = peg;
+            }
+
+            let probs;
+            if (hit) {
+                const left = fall(hit.x - 0.5, hit.y);
+                const right = fall(hit.x + 0.5, hit.y);
+                probs = left.map((p, i) => (p + right[i]) / 2);
+            } else {
+                probs = new Array(numBuckets).fill(0);
+                const index = Math.round(x + (numBuckets - 1) / 2);
+                probs[Math.max(0, Math.min(numBuckets - 1, index))] = 1;
+            }
+            memo.set(key, probs);
+            return probs;
+        }
+
+        return fall(0, -Infinity);
+    }
+
+    // Natural log of the gamma function (Lanczos approximation, g = 7)
+    const LANCZOS = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+        1.5056327351493116e-7
+    ];
+    function lnGamma(z) {
+        if (z < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * z)) - lnGamma(1 - z);
+        z -= 1;
+        let sum = LANCZOS[0];
+        for (let i = 1; i < LANCZOS.length; i++) sum += LANCZOS[i] / (z + i);
+        const t = z + 7.5;
+        return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+    }
+
+    // Regularized upper incomplete gamma Q(a, x): series below a + 1, continued fraction above
+    function gammaQ(a, x) {
+        if (x <= 0) return 1;
+        const logPrefix = a * Math.log(x) - x - lnGamma(a);
+        if (x < a + 1) {
+            let term = 1 / a;
+            let sum = term;
+            for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+                term *= x / (a + n);
+                sum += term;
+            }
+            return Math.max(0, 1 - sum * Math.exp(logPrefix));
+        }
+        const tiny = 1e-300;
+        let b = x + 1 - a;
+        let c = 1 / tiny;
+        let d = 1 / b;
+        let h = d;
+        for (let n = 1; n < 500; n++) {
+            const an = -n * (n - a);
+            b += 2;
+            d = an * d + b;
+            if (Math.abs(d) < tiny) d = tiny;
+            c = b + an / c;
+            if (Math.abs(c) < tiny) c = tiny;
+            d = 1 / d;
+            const delta = d * c;
+            h *= delta;
+            if (Math.abs(delta - 1) < 1e-15) break;
+        }
+        return Math.min(1, Math.exp(logPrefix) * h);
+    }
+
+    /**
+     * Pearson chi-square goodness-of-fit of a bucket histogram against model probabilities
+     * Buckets are pooled left to right until each pooled bin expects at least
+     * MIN_EXPECTED balls (rare edge buckets would otherwise dominate the statistic)
+     * @param {number[]} histogram - Observed ball count per bucket
+     * @param {number[]} probabilities - Model probability per bucket
+     * @returns {Object|null} { chiSquare, degreesOfFreedom, pValue, bins, balls },
+     *                        or null while there are too few balls for two bins
+     */
+    function chiSquareTest(histogram, probabilities) {
+        const balls = histogram.reduce((sum, count) => sum + count, 0);
+        const bins = [];
+        let observed = 0;
+        let expected = 0;
+        histogram.forEach((count, i) => {
+            observed += count;
+            expected += probabilities[i] * balls;
+            if (expected >= MIN_EXPECTED) {
+                bins.push({ observed, expected });
+                observed = 0;
+                expected = 0;
+            }
+        });
+        // A short tail joins the last full bin
+        if (bins.length > 0) {
+            bins[bins.length - 1].observed += observed;
+            bins[bins.length - 1].expected += expected;
+        }
+        if (bins.length < 2) return null;
+
+        const chiSquare = bins.reduce((sum, bin) => sum + (bin.observed - bin.expected) ** 2 / bin.expected, 0);
+        const degreesOfFreedom = bins.length - 1;
+        return {
+            chiSquare,
+            degreesOfFreedom,
+            pValue: gammaQ(degreesOfFreedom / 2, chiSquare / 2),
+            bins: bins.length,
+            balls
+        };
+    }
+
+    /**
+     * Round a multiplier to two significant digits (at most two decimals)
+     */
+    function roundMultiplier(value) {
+        if (value <= 0) return 0;
+        const decimals = Math.max(0, Math.min(2, 1 - Math.floor(Math.log10(value))));
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Generate a symmetric multiplier table for a risk level
+     * The shape grows by RISK_LEVELS[risk].growth per bucket away from the center
+     * and is scaled so the RTP under bucketProbabilities(rows) (measured on the
+     * standard board with the default ball) equals targetRtp. Every bucket except the
+     * center one(s) is then rounded to a readable value, and the center is solved
+     * from the rest so rounding does not move the RTP (off by < 0.5 cent per unit bet)
+     * @param {number} rows - Row count (buckets = rows - 1)
+     * @param {string} risk - Key of RISK_LEVELS
+     * @param {number} targetRtp - Expected payout per unit bet
+     * @returns {number[]} Multiplier per bucket
+     */
+    function generateMultipliers(rows, risk = DEFAULT_RISK, targetRtp = TARGET_RTP) {
+        const level = RISK_LEVELS[risk];
+        if (!level) throw new Error(`Unknown risk level: ${risk}`);
+        if (!(targetRtp > 0)) throw new Error(`Target RTP must be positive: ${targetRtp}`);
+
+        const probs = bucketProbabilities(rows);
+        const middle = (probs.length - 1) / 2;
+        const shape = probs.map((_, k) => Math.pow(level.growth, Math.abs(k - middle)));
+        const scale = targetRtp / probs.reduce((sum, p, k) => sum + p * shape[k], 0);
+
+        const isCenter = k => Math.abs(k - middle) < 1;
+        const mults = shape.map((weight, k) => (isCenter(k) ? 0 : roundMultiplier(weight * scale)));
+        const centerProbability = probs.reduce((sum, p, k) => sum + (isCenter(k) ? p : 0), 0);
+        const outerRtp = probs.reduce((sum, p, k) => sum + p * mults[k], 0);
+        const center = Math.max(0, Math.round((targetRtp - outerRtp) / centerProbability * 100) / 100);
+
+        return mults.map((mult, k) => (isCenter(k) ? center : mult));
+    }
+
+    /**
+     * Pegs of the standard triangle: row r (from 2) has r + 1 pegs, a gap apart
+     * @param {number} rows - Row count
+     * @returns {Object[]} Pegs { x, y } in layout units
+     */
+    function standardPegs(rows) {
+        const pegs = [];
+        for (let r = 2; r < rows; r++) {
+            for (let c = 0; c <= r; c++) {
+                pegs.push({ x: c - r / 2, y: r });
+            }
+        }
+        return pegs;
+    }
+
+    /**
+     * Standard layout for a row count: the triangular peg grid from row 2
+     * with a generated multiplier table
+     * @param {number} rows - Row count (MIN_ROWS..MAX_ROWS)
+     * @param {string} risk - Key of RISK_LEVELS
+     * @param {number} targetRtp - Expected payout per unit bet
+     * @returns {Object} Layout { version, name, rows, pegs, multipliers }
+     */
+    function createLayout(rows, risk = DEFAULT_RISK, targetRtp = TARGET_RTP) {
+        return {
+            version: LAYOUT_VERSION,
+            name: `${rows} rows, ${RISK_LEVELS[risk] ? RISK_LEVELS[risk].label : risk} risk`,
+            rows,
+            pegs: standardPegs(rows),
+            multipliers: generateMultipliers(rows, risk, targetRtp)
+        };
+    }
+
+    /**
+     * Closest point to (x, y) where a peg may sit: inside the side walls,
+     * between the top of the playfield and the last row
+     * @param {Object} layout - Layout whose row count bounds the playfield
+     * @param {Object} point - { x, y } in layout units
+     * @returns {Object} { x, y } in layout units
+     */
+    function clampPeg(layout, point) {
+        const y = Math.max(WALL_TOP_ROW, Math.min(layout.rows - 1, point.y));
+        const x = Math.max(-y / 2, Math.min(y / 2, point.x));
+        return { x, y };
+    }
+
+    /**
+     * Throw unless a point (layout units) lies where pegs may sit (see clampPeg)
+     */
+    function checkPlayfield(layout, point, what) {
+        const clamped = clampPeg(layout, point);
+        if (Math.abs(clamped.x - point.x) > 1e-6 || Math.abs(clamped.y - point.y) > 1e-6) {
+            throw new Error(`${what} (${point.x}, ${point.y}) is outside the playfield`);
+        }
+    }
+
+    /**
+     * Read a finite number from a layout object
+     * @param {Object} object - Layout entry
+     * @param {string} key - Field name
+     * @param {string} what - Entry name for error messages
+     * @param {number} [fallback] - Value when the field is missing (required if omitted)
+     */
+    function readNumber(object, key, what, fallback) {
+        const value = object[key] === undefined ? fallback : object[key];
+        if (typeof value !== 'number' || !isFinite(value)) {
+            throw new Error(`${what} needs a numeric ${key}`);
+        }
+        return value;
+    }
+
+    /**
+     * Check a layout motion and return a clean copy
+     *   { type: 'oscillate', dx, dy, period, phase }  offset (gaps) × sin(2π(t / period + phase))
+     *   { type: 'swing', amplitude, period, phase }   angle offset (degrees), same wave
+     *   { type: 'rotate', speed }                     degrees per second
+     * Periods are in seconds, phases in cycles (0..1)
+     * @param {Object} motion - Motion from a layout
+     * @param {string[]} types - Motion types allowed for this entry
+     * @param {string} what - Entry name for error messages
+     * @returns {Object} Motion with only the known fields
+     */
+    function validateMotion(motion, types, what) {
+        if (!motion || !types.includes(motion.type)) {
+            throw new Error(`${what} motion type must be one of: ${types.join(', ')}`);
+        }
+        what = `${what} motion`;
+        if (motion.type === 'rotate') {
+            return { type: 'rotate', speed: readNumber(motion, 'speed', what) };
+        }
+        const period = readNumber(motion, 'period', what);
+        if (period <= 0) throw new Error(`${what} period must be positive`);
+        const phase = readNumber(motion, 'phase', what, 0);
+        return motion.type === 'swing'
+            ? { type: 'swing', amplitude: readNumber(motion, 'amplitude', what), period, phase }
+            : { type: 'oscillate', dx: readNumber(motion, 'dx', what, 0), dy: readNumber(motion, 'dy', what, 0), period, phase };
+    }
+
+    /**
+     * Check the special objects of a layout (bumpers, bars, force zones)
+     * @param {Object} layout - Layout with valid rows
+     * @returns {Object} Clean copies of the lists the layout has
+     */
+    function validateSpecialObjects(layout) {
+        const validators = {
+            bumpers: (bumper, what) => {
+                const point = { x: readNumber(bumper, 'x', what), y: readNumber(bumper, 'y', what) };
+                checkPlayfield(layout, point, what);
+                const radius = readNumber(bumper, 'radius', what, BUMPER_RADIUS);
+                const restitution = readNumber(bumper, 'restitution', what, BUMPER_RESTITUTION);
+                if (radius <= 0 || radius > 0.5) throw new Error(`${what} radius must be above 0 and at most 0.5`);
+                if (restitution < 0 || restitution > 3) throw new Error(`${what} restitution must be from 0 to 3`);
+                return { ...point, radius, restitution };
+            },
+            bars: (bar, what) => {
+                const point = { x: readNumber(bar, 'x', what), y: readNumber(bar, 'y', what) };
+                checkPlayfield(layout, point, what);
+                const length = readNumber(bar, 'length', what);
+                if (length <= 0 || length > MAX_BAR_LENGTH) {
+                    throw new Error(`${what} length must be above 0 and at most ${MAX_BAR_LENGTH}`);
+                }
+                const clean = { ...point, length, angle: readNumber(bar, 'angle', what, 0) };
+                if (bar.motion !== undefined) clean.motion = validateMotion(bar.motion, MOTION_TYPES, what);
+                return clean;
+            },
+            zones: (zone, what) => {
+                if (!ZONE_TYPES.includes(zone.type)) {
+                    throw new Error(`${what} type must be one of: ${ZONE_TYPES.join(', ')}`);
+                }
+                const point = { x: readNumber(zone, 'x', what), y: readNumber(zone, 'y', what) };
+                checkPlayfield(layout, point, what);
+                const width = readNumber(zone, 'width', what);
+                const height = readNumber(zone, 'height', what);
+                if (width <= 0 || height <= 0 || width > layout.rows || height > layout.rows) {
+                    throw new Error(`${what} width and height must be above 0 and at most ${layout.rows}`);
+                }
+                const clean = { type: zone.type, ...point, width, height };
+                if (zone.type === 'wind') {
+                    clean.ax = readNumber(zone, 'ax', what, 0);
+                    clean.ay = readNumber(zone, 'ay', what, 0);
+                } else if (zone.type === 'magnet') {
+                    clean.strength = readNumber(zone, 'strength', what);
+                } else {
+                    clean.damping = readNumber(zone, 'damping', what);
+                    if (clean.damping < 0) throw new Error(`${what} damping must be >= 0`);
+                }
+                return clean;
+            }
+        };
+        const names = { bumpers: 'Bumper', bars: 'Bar', zones: 'Zone' };
+
+        const clean = {};
+        SPECIAL_OBJECTS.forEach(key => {
+            if (layout[key] === undefined) return;
+            if (!Array.isArray(layout[key])) throw new Error(`Layout ${key} must be an array`);
+            clean[key] = layout[key].map((item, i) => {
+                const what = `${names[key]} ${i}`;
+                if (!item || typeof item !== 'object') throw new Error(`${what} must be an object`);
+                return validators[key](item, what);
+            });
+        });
+        return clean;
+    }
+
+    /**
+     * Whether a layout has moving parts: its bodies then depend on the step clock,
+     * so a drop only replays from the step it was made at (record.step)
+     */
+    function layoutHasMotion(layout) {
+        return layout.pegs.some(peg => peg.motion) || (layout.bars || []).some(bar => bar.motion);
+    }
+
+    /**
+     * Check a layout (e.g. loaded from a file) and return a clean copy
+     * @param {Object} layout - Layout object
+     * @returns {Object} Layout with only the known fields
+     * @throws {Error} Describing the first problem found
+     */
+    function validateLayout(layout) {
+        if (!layout || typeof layout !== 'object') {
+            throw new Error('Layout must be a JSON object');
+        }
+        if (layout.version !== LAYOUT_VERSION) {
+            throw new Error(`Unsupported layout version: ${layout.version}`);
+        }
+
+        const { rows, pegs, multipliers } = layout;
+        if (!Number.isInteger(rows) || rows < MIN_ROWS || rows > MAX_ROWS) {
+            throw new Error(`Layout rows must be an integer from ${MIN_ROWS} to ${MAX_ROWS}`);
+        }
+        if (!Array.isArray(multipliers) || multipliers.length !== rows - 1) {
+            throw new Error(`Layout needs ${rows - 1} multipliers (one per bucket) for ${rows} rows`);
+        }
+        multipliers.forEach((mult, i) => {
+            if (typeof mult !== 'number' || !isFinite(mult) || mult < 0) {
+                throw new Error(`Multiplier ${i} must be a number >= 0`);
+            }
+        });
+        if (!Array.isArray(pegs)) {
+            throw new Error('Layout pegs must be an array');
+        }
+        const cleanPegs = pegs.map((peg, i) => {
+            if (!peg || !isFinite(peg.x) || !isFinite(peg.y)) {
+                throw new Error(`Peg ${i} needs numeric x and y`);
+            }
+            checkPlayfield(layout, peg, `Peg ${i}`);
+            if (peg.motion === undefined) return { x: peg.x, y: peg.y };
+
+            // A moving peg must stay on the playfield at both ends of its path
+            const motion = validateMotion(peg.motion, ['oscillate'], `Peg ${i}`);
+            [-1, 1].forEach(side => {
+                checkPlayfield(layout, { x: peg.x + side * motion.dx, y: peg.y + side * motion.dy }, `Peg ${i} path end`);
+            });
+            return { x: peg.x, y: peg.y, motion };
+        });
+
+        return {
+            version: LAYOUT_VERSION,
+            name: typeof layout.name === 'string' ? layout.name : 'Custom',
+            rows,
+            pegs: cleanPegs,
+            multipliers: multipliers.slice(),
+            ...validateSpecialObjects(layout)
+        };
+    }
+
+    /**
+     * Parse layout JSON (a saved layout file)
+     * @param {string} json - File contents
+     * @returns {Object} Validated layout
+     * @throws {Error} If the JSON is malformed or the layout is invalid
+     */
+    function parseLayout(json) {
+        let layout;
+        try {
+            layout = JSON.parse(json);
+        } catch (err) {
+            throw new Error(`Layout is not valid JSON: ${err.message}`);
+        }
+        return validateLayout(layout);
+    }
+
+    /**
+     * Build pegs, walls, bucket dividers and bucket sensors into an engine
+     * Geometry depends only on the board size and layout, so a recorded
+     * drop can be replayed on a private engine with identical pegs. The board's
+     * surfaces are BOARD_MATERIAL, and MATERIAL_PAIRS goes into the engine's pair table
+     * @param {PhysicsEngine} targetEngine - Engine receiving the bodies
+     * @param {Object} board - { width, height, layout } or { width, height, rows } for the standard layout
+     * @returns {Object} Board data (layout, gap, rows, mults, startY, pegRadius, numBuckets, centerX,
+     *                   bucketStartX, bucketY, floorY, bounds)
+     */
+    function buildLevel(targetEngine, board) {
+        const { width, height } = board;
+        const layout = board.layout || createLayout(board.rows);
+        const { rows } = layout;
+        const mults = layout.multipliers;
+        const numBuckets = mults.length;
+        MATERIAL_PAIRS.forEach(([a, b, coefficients]) => targetEngine.setMaterialPair(a, b, coefficients));
+
+        // Smart gap: constrain by width AND height to fit all screen sizes
+        const paddingX = 48; // 24px each side
+        const paddingY = 40;
+        const safeWidth = width - paddingX;
+        const safeHeight = height - paddingY;
+        const gapByWidth = safeWidth / numBuckets;
+        const gapByHeight = safeHeight / (rows + 2.8);
+        const minGap = 25, maxGap = 65;
+        let gap = Math.max(minGap, Math.min(maxGap, gapByWidth, gapByHeight));
+
+        const totalGameHeight = (rows + 2.8) * gap;
+        const startY = (height - totalGameHeight) / 2;
+        const pegRadius = gap * 0.12;
+        const centerX = width / 2;
+
+        // Layout motions to engine units: gaps → pixels, degrees → radians
+        const toEngineMotion = motion => {
+            if (!motion) return null;
+            const radians = Math.PI / 180;
+            const { period, phase } = motion;
+            if (motion.type === 'rotate') return { type: 'rotate', speed: motion.speed * radians };
+            if (motion.type === 'swing') return { type: 'swing', amplitude: motion.amplitude * radians, period, phase };
+            return { type: 'oscillate', dx: motion.dx * gap, dy: motion.dy * gap, period, phase };
+        };
+
+        // Pegs (kinematic when they move)
+        layout.pegs.forEach(({ x, y, motion }) => {
+            const peg = new RigidBody('circle', centerX + x * gap, startY + y * gap, {
+                radius: pegRadius,
+                isStatic: !motion,
+                motion: toEngineMotion(motion),
+                label: 'peg',
+                material: BOARD_MATERIAL,
+                collisionFilter: { category: CATEGORIES.peg },
+                render: { fillStyle: 'white' },
+                // Low friction for plastic surface with metal ball (coefficient ~0.08-0.12)
+                friction: 0.1,
+                // Higher restitution for hard plastic pegs with metal ball
+                restitution: 0.7,
+                // Low static friction for smooth metal-on-plastic contact
+                frictionStatic: 0.05
+            });
+            targetEngine.addBody(peg);
+        });
+
+        // Bumpers: static circles with restitution above 1 kick the ball away
+        (layout.bumpers || []).forEach(bumper => {
+            targetEngine.addBody(new RigidBody('circle', centerX + bumper.x * gap, startY + bumper.y * gap, {
+                radius: bumper.radius * gap,
+                isStatic: true,
+                restitution: bumper.restitution,
+                friction: 0.05,
+                label: 'bumper',
+                collisionFilter: { category: CATEGORIES.bumper },
+                render: { fillStyle: '#f472b6', strokeStyle: '#fbcfe8', lineWidth: 2 }
+            }));
+        });
+
+        // Bars: thin boxes, kinematic when they move (rotating bars, swinging paddles)
+        (layout.bars || []).forEach(bar => {
+            targetEngine.addBody(new RigidBody('rectangle', centerX + bar.x * gap, startY + bar.y * gap, {
+                width: bar.length * gap,
+                height: BAR_THICKNESS * gap,
+                angle: bar.angle * Math.PI / 180,
+                isStatic: !bar.motion,
+                motion: toEngineMotion(bar.motion),
+                friction: 0.1,
+                restitution: 0.5,
+                material: BOARD_MATERIAL,
+                label: 'bar',
+                collisionFilter: { category: CATEGORIES.bar },
+                render: { fillStyle: '#fbbf24' }
+            }));
+        });
+
+        // Force zones: sensors that push the balls inside them (PhysicsEngine.applyForceZone)
+        (layout.zones || []).forEach(zone => {
+            const forceZone = zone.type === 'wind' ? { type: 'wind', ax: zone.ax * gap, ay: zone.ay * gap }
+                : zone.type === 'magnet' ? { type: 'magnet', strength: zone.strength * gap }
+                : { type: 'slow', damping: zone.damping };
+            targetEngine.addBody(new RigidBody('rectangle', centerX + zone.x * gap, startY + zone.y * gap, {
+                width: zone.width * gap,
+                height: zone.height * gap,
+                isStatic: true,
+                isSensor: true,
+                forceZone,
+                label: 'zone',
+                collisionFilter: { category: CATEGORIES.zone },
+                render: { fillStyle: ZONE_STYLES[zone.type] }
+            }));
+        });
+
+        const lastRowY = startY + (rows - 1) * gap;
+        const bucketY = lastRowY + (gap * 0.6);
+        const floorY = lastRowY + (gap * 1.1);  // Bottom of the bucket slots
+        const totalBucketWidth = numBuckets * gap;
+        const startX = (width / 2) - (totalBucketWidth / 2) + (gap / 2);
+        const wallMaterial = {
+            isStatic: true,
+            friction: 0.1,
+            restitution: 0.5,
+            material: BOARD_MATERIAL,
+            collisionFilter: { category: CATEGORIES.wall }
+        };
+        const wallRender = { fillStyle: 'rgba(148, 163, 184, 0.35)' };
+
+        // Side walls: follow the outer pegs down to the last row, WALL_CLEARANCE outside them.
+        // A ball that leaves the triangle runs down between the pegs and the wall, falls past
+        // the outer divider and leaves the bounds (refunded) instead of landing in an edge
+        // bucket. Each wall starts where it meets the vertical chute, which keeps a backed-up
+        // pile (ball contact mode) on the board
+        const wallThickness = gap * 0.2;
+        const chuteTopY = startY - gap;
+        const wallOffset = pegRadius + WALL_CLEARANCE * gap;
+        [-1, 1].forEach(side => {
+            const top = new Vec2(centerX + side * WALL_TOP_ROW * gap / 2, startY + WALL_TOP_ROW * gap);
+            const bottom = new Vec2(centerX + side * (rows - 1) * gap / 2, lastRowY);
+            const along = bottom.sub(top);
+            const outward = new Vec2(along.y, -along.x).normalize().mul(side);
+
+            const chuteX = top.x + side * (pegRadius + wallThickness / 2);
+            const chuteBottomY = top.y + wallThickness;
+            targetEngine.addBody(new RigidBody('rectangle', chuteX, (chuteTopY + chuteBottomY) / 2, {
+                ...wallMaterial,
+                width: wallThickness,
+                height: chuteBottomY - chuteTopY,
+                label: 'wall',
+                render: wallRender
+            }));
+
+            // Fraction of `along` (negative: above row WALL_TOP_ROW) where the inner face
+            // reaches the outer face of the chute
+            const chuteOuterX = chuteX + side * wallThickness / 2;
+            const start = (chuteOuterX - top.x - outward.x * wallOffset) / along.x;
+            const center = top.add(along.mul((start + 1) / 2)).add(outward.mul(wallOffset + wallThickness / 2));
+            targetEngine.addBody(new RigidBody('rectangle', center.x, center.y, {
+                ...wallMaterial,
+                width: along.length() * (1 - start),
+                height: wallThickness,
+                angle: Math.atan2(along.y, along.x),
+                label: 'wall',
+                render: wallRender
+            }));
+        });
+
+        // Bucket dividers: hang from the last-row pegs down to the floor
+        const dividerThickness = Math.max(2, gap * 0.08);
+        for (let i = 0; i <= numBuckets; i++) {
+            const x = startX + (i - 0.5) * gap;
+            targetEngine.addBody(new RigidBody('rectangle', x, (lastRowY + floorY) / 2, {
+                ...wallMaterial,
+                width: dividerThickness,
+                height: floorY - lastRowY,
+                label: 'divider',
+                render: wallRender
+            }));
+        }
+
+        // Floor under the slots catches anything that gets past a sensor
+        const floorThickness = gap * 0.2;
+        targetEngine.addBody(new RigidBody('rectangle', centerX, floorY + floorThickness / 2, {
+            ...wallMaterial,
+            width: totalBucketWidth + dividerThickness,
+            height: floorThickness,
+            label: 'floor',
+            render: wallRender
+        }));
+
+        // Sensors fill the lower half of each slot, so a ball is only scored once
+        // it is below the divider tops and has physically committed to a slot
+        for (let i = 0; i < numBuckets; i++) {
+            const x = startX + (i * gap);
+            const sensor = new RigidBody('rectangle', x, (bucketY + floorY) / 2, {
+                width: gap - dividerThickness,
+                height: floorY - bucketY,
+                isStatic: true,
+                isSensor: true,
+                label: 'sensor',
+                collisionFilter: { category: CATEGORIES.sensor },
+                plugin: { val: mults[i], bucketIndex: i },
+                render: { visible: false }
+            });
+            targetEngine.addBody(sensor);
+        }
+
+        // A ball whose center leaves these bounds has escaped the board
+        const bounds = {
+            minX: 0,
+            maxX: width,
+            minY: -height,
+            maxY: Math.max(height, floorY + gap)
+        };
+
+        return {
+            layout, gap, rows, mults, startY, pegRadius, numBuckets, centerX,
+            bucketStartX: startX, bucketY, floorY, bounds
+        };
+    }
+
+    /**
+     * Switch an engine between pass-through balls and real ball-to-ball contact
+     * @param {PhysicsEngine} targetEngine - Engine to configure
+     * @param {boolean} ballContact - true for ball-to-ball collisions
+     */
+    function configureBallContact(targetEngine, ballContact) {
+        const solver = ballContact ? CONTACT_SOLVER : GHOST_SOLVER;
+        targetEngine.iterations = solver.iterations;
+        targetEngine.enableSleeping = solver.enableSleeping;
+        if (!solver.enableSleeping) {
+            targetEngine.bodies.forEach(body => {
+                if (body.isSleeping) targetEngine.wakeBody(body);
+            });
+        }
+    }
+
+    /**
+     * Create the ball body for a drop record
+     * All randomness comes from the record's seed, so the same record always
+     * spawns the same ball with the same initial velocity
+     * @param {Object} data - Board data returned by buildLevel()
+     * @param {Object} record - Drop record (seed, ballRadius, bet, ballContact; optional aim and
+     *                          lift in gaps, see dropFormation(), and material, a key of MATERIALS)
+     * @returns {RigidBody} Ball, not yet added to an engine
+     */
+    function createBall(data, record) {
+        const rng = new SeededRandom(record.seed);
+
+        // Subtle initial position variance for natural distribution
+        const jitter = (rng.next() * 1 - 0.5);
+        // Spawn ball higher to give more visible drop before hitting pegs
+        // Metal balls need more initial drop distance for realistic behavior
+        const spawnY = data.startY + (data.gap * 1.2);
+        // Records from before aiming have neither field; adding 0 leaves their spawn bit-identical
+        const aimX = (record.aim || 0) * data.gap;
+        const liftY = (record.lift || 0) * data.gap;
+
+        const materialName = MATERIALS[record.material] ? record.material : DEFAULT_MATERIAL;
+        const material = MATERIALS[materialName];
+
+        const ball = new RigidBody('circle', data.centerX + aimX + jitter, spawnY - liftY, {
+            radius: record.ballRadius,
+            restitution: material.restitution,
+            friction: material.friction,
+            frictionAir: material.frictionAir,
+            density: material.density,
+            material: materialName,
+            label: 'ball',
+            plugin: { bet: record.bet, active: true, record: record },
+            render: { ...material.render },
+            // Negative shared group: balls pass through each other unless contact mode is on
+            collisionFilter: { group: record.ballContact ? 0 : -1, category: CATEGORIES.ball }
+        });
+
+        // Apply subtle initial velocity for realistic drop simulation
+        const initialVelocityX = (rng.next() - 0.5) * 0.1;
+        ball.velocity = new Vec2(initialVelocityX, 0);
+
+        return ball;
+    }
+
+    /**
+     * Balls a new ball would overlap if it were added now
+     * A contact-mode ball spawned into a pile backed up in the chute is pushed out over
+     * the chute top and refunded, so callers hold the drop until this is empty. They
+     * also wake the sleeping ones: a pile that fell asleep under the spawn point would
+     * otherwise hold the drop until the lost-ball timeout
+     * @param {PhysicsEngine} targetEngine - Engine the ball is about to join
+     * @param {RigidBody} ball - Ball from createBall(), not yet added
+     * @returns {RigidBody[]} Solid balls overlapping the spawn point (none: clear to add)
+     */
+    function spawnBlockers(targetEngine, ball) {
+        // Balls without contact pass through each other: nothing to wait for
+        if (ball.collisionFilter.group < 0) return [];
+        const { x, y } = ball.position;
+        const radius = ball.radius;
+        const bounds = { minX: x - radius, minY: y - radius, maxX: x + radius, maxY: y + radius };
+        return targetEngine.queryRegion(bounds, CATEGORIES.ball).filter(other => {
+            if (!targetEngine.canCollide(ball, other)) return false;
+            const dx = other.position.x - x;
+            const dy = other.position.y - y;
+            const reach = radius + other.radius;
+            return dx * dx + dy * dy < reach * reach;
+        });
+    }
+
+    /**
+     * Limit a drop column to the chute above the first peg row
+     * @param {Object} data - Board data returned by buildLevel()
+     * @param {number} aim - Wanted column, in gaps from the board center
+     * @param {number} ballRadius - Radius of the ball to drop (pixels)
+     * @returns {number} Nearest column where the ball clears both chute walls
+     */
+    function clampAim(data, aim, ballRadius) {
+        // Inner faces of the chute walls (see buildLevel)
+        const halfWidth = WALL_TOP_ROW * data.gap / 2 + data.pegRadius;
+        const limit = Math.max(0, halfWidth - ballRadius - AIM_MARGIN) / data.gap;
+        return Math.max(-limit, Math.min(limit, aim));
+    }
+
+    /**
+     * Spawn offsets of the balls of a multi-ball drop
+     * 'stacked' puts them in one column, one above the other; 'spread' puts them side by
+     * side around the aim, as many per row as fit in the chute, starting more rows above
+     * when they don't. Neighbours are DROP_SPACING diameters apart, so even contact-mode
+     * balls never start overlapping
+     * @param {Object} data - Board data returned by buildLevel()
+     * @param {Object} options - { aim (gaps), ballRadius (pixels), count, formation: 'spread'|'stacked' }
+     * @returns {Object[]} count × { aim, lift } in gaps, for the drop records (lift: how far above
+     *                     the normal spawn point)
+     */
+    function dropFormation(data, { aim, ballRadius, count, formation }) {
+        const limit = clampAim(data, Infinity, ballRadius);
+        const spacing = DROP_SPACING * 2 * ballRadius / data.gap;
+        const perRow = formation === 'stacked' ? 1 : Math.max(1, Math.floor(2 * limit / spacing) + 1);
+        const center = clampAim(data, aim, ballRadius);
+
+        const offsets = [];
+        for (let i = 0; i < count; i++) {
+            const row = Math.floor(i / perRow);
+            const inRow = Math.min(perRow, count - row * perRow);
+            const width = (inRow - 1) * spacing;
+            // Centre the row on the aim, shifted back inside the chute if it sticks out
+            const left = Math.max(-limit, Math.min(limit - width, center - width / 2));
+            offsets.push({ aim: left + (i % perRow) * spacing, lift: row * spacing });
+        }
+        return offsets;
+    }
+
+    /**
+     * Detect a still-active ball touching a bucket sensor
+     * This is the scoring rule: the first sensor an active ball touches decides its bucket
+     * @param {Object} event - Collision event { bodyA, bodyB, collision }
+     * @returns {Object|null} { ball, sensor } or null if this pair does not score
+     */
+    function getLanding(event) {
+        const { bodyA, bodyB } = event;
+        const ball = bodyA.label === 'ball' ? bodyA : bodyB.label === 'ball' ? bodyB : null;
+        const sensor = bodyA.label === 'sensor' ? bodyA : bodyB.label === 'sensor' ? bodyB : null;
+        if (!ball || !sensor || !ball.plugin.active) return null;
+        return { ball, sensor };
+    }
+
+    /**
+     * Detect a ball hitting a peg (or a bumper or bar) hard enough to be heard
+     * Meant for 'collisionStart' events, so resting contact never repeats the sound,
+     * and uses the impulse the solver applied rather than re-deriving the bounce
+     * @param {Object} event - Pair event { bodyA, bodyB, collision, impulse }
+     * @param {Object} data - Board data returned by buildLevel()
+     * @returns {Object|null} { ball, column, row, speed } for a ball-obstacle impact above
+     *                        PEG_IMPACT_THRESHOLD: the ball, the obstacle's position in layout units
+     *                        (column from the center, row from the top) and the speed change in
+     *                        pixels/s; null otherwise
+     */
+    function getPegImpact(event, data) {
+        const { bodyA, bodyB, impulse } = event;
+        const ball = bodyA.label === 'ball' ? bodyA : bodyB.label === 'ball' ? bodyB : null;
+        const other = ball === bodyA ? bodyB : bodyA;
+        if (!ball || !IMPACT_LABELS.includes(other.label)) return null;
+        const speed = impulse / ball.mass;
+        if (speed <= PEG_IMPACT_THRESHOLD) return null;
+        return {
+            ball,
+            column: (other.position.x - data.centerX) / data.gap,
+            row: (other.position.y - data.startY) / data.gap,
+            speed
+        };
+    }
+
+    /**
+     * Pack ball states for a physics worker snapshot
+     * Row layout: id, x, y, angle, prevX, prevY, prevAngle, vx, vy, angularVelocity,
+     * sleeping (0/1), sleepCounter, spawnStep. The id is ball.plugin.ballId
+     * @param {RigidBody[]} balls - Balls to pack
+     * @returns {Float64Array} balls.length rows (its buffer can be transferred)
+     */
+    function writeBallStates(balls) {
+        const states = new Float64Array(balls.length * BALL_STATE_STRIDE);
+        balls.forEach((ball, i) => {
+            states.set([
+                ball.plugin.ballId,
+                ball.position.x, ball.position.y, ball.angle,
+                ball.prevPosition.x, ball.prevPosition.y, ball.prevAngle,
+                ball.velocity.x, ball.velocity.y, ball.angularVelocity,
+                ball.isSleeping ? 1 : 0, ball.sleepCounter, ball.plugin.spawnStep
+            ], i * BALL_STATE_STRIDE);
+        });
+        return states;
+    }
+
+    /**
+     * Copy one packed ball state (see writeBallStates) onto a ball
+     * @param {Float64Array} states - Snapshot rows
+     * @param {number} offset - Start of the row (a multiple of BALL_STATE_STRIDE)
+     * @param {RigidBody} ball - Ball to update (the id is not checked)
+     */
+    function readBallState(states, offset, ball) {
+        ball.position.set(states[offset + 1], states[offset + 2]);
+        ball.angle = states[offset + 3];
+        ball.prevPosition.set(states[offset + 4], states[offset + 5]);
+        ball.prevAngle = states[offset + 6];
+        ball.velocity.set(states[offset + 7], states[offset + 8]);
+        ball.angularVelocity = states[offset + 9];
+        ball.isSleeping = states[offset + 10] === 1;
+        ball.sleepCounter = states[offset + 11];
+        ball.plugin.spawnStep = states[offset + 12];
+    }
+
+    /**
+     * Index of the bucket whose center is closest to x (edge buckets absorb the outside)
+     */
+    function nearestBucket(data, x) {
+        const index = Math.round((x - data.bucketStartX) / data.gap);
+        return Math.max(0, Math.min(data.numBuckets - 1, index));
+    }
+
+    /**
+     * Lost-ball safety net, checked for every ball that has not landed yet
+     * Rule:
+     *  - center outside data.bounds (escaped the board)       → 'refunded': bet returned, not scored
+     *  - still unscored BALL_TIMEOUT_STEPS after it was dropped → 'assigned': paid as if it had
+     *    landed in the bucket nearest to its current x position
+     * @param {RigidBody} ball - Active ball with plugin.spawnStep set when it was added
+     * @param {Object} data - Board data returned by buildLevel()
+     * @param {number} stepCount - Current engine.stepCount
+     * @returns {Object|null} { outcome: 'refunded' } or { outcome: 'assigned', bucketIndex } or null
+     */
+    function checkLostBall(ball, data, stepCount) {
+        const { x, y } = ball.position;
+        const { bounds } = data;
+        if (x < bounds.minX || x > bounds.maxX || y < bounds.minY || y > bounds.maxY) {
+            return { outcome: 'refunded' };
+        }
+        if (stepCount - ball.plugin.spawnStep >= BALL_TIMEOUT_STEPS) {
+            return { outcome: 'assigned', bucketIndex: nearestBucket(data, x) };
+        }
+        return null;
+    }
+
+    /**
+     * Re-simulate a recorded drop on a private engine
+     * Pass-through balls never collide with each other, so a drop's trajectory
+     * depends only on its seed and the board (and for moving parts on the step
+     * it was dropped at, record.step); the fixed timestep makes it bit-identical.
+     * Drops made with ball contact also depended on their neighbours, which a
+     * lone replay cannot reproduce (`exact: false`)
+     * The lost-ball rule is checked after every step, as in the live game
+     * @param {Object} record - Drop record (or pasted from a bug report)
+     * @returns {Object} { bucketIndex, multiplier, outcome, steps, matches, exact }
+     */
+    function simulateReplay(record) {
+        const replayEngine = new PhysicsEngine({ gravity: GRAVITY });
+        const data = buildLevel(replayEngine, record);
+        // Moving parts follow the step clock: start it where the drop was made
+        replayEngine.stepCount = record.step || 0;
+        const ball = replayEngine.addBody(createBall(data, record));
+        ball.plugin.spawnStep = replayEngine.stepCount;
+
+        let result = null;
+        replayEngine.onCollision(event => {
+            const landing = getLanding(event);
+            if (landing && landing.ball === ball) {
+                ball.plugin.active = false;
+                result = { outcome: 'landed', bucketIndex: landing.sensor.plugin.bucketIndex };
+            }
+        });
+
+        let steps = 0;
+        while (!result && steps < MAX_REPLAY_STEPS) {
+            replayEngine.step(replayEngine.fixedDeltaTime);
+            steps++;
+            if (!result) result = checkLostBall(ball, data, replayEngine.stepCount);
+        }
+
+        const bucketIndex = result && result.bucketIndex !== undefined ? result.bucketIndex : null;
+        return {
+            bucketIndex,
+            multiplier: bucketIndex !== null ? data.mults[bucketIndex] : null,
+            outcome: result ? result.outcome : null,
+            steps,
+            matches: !record.outcome ||
+                (record.outcome === (result && result.outcome) && record.bucketIndex === bucketIndex),
+            exact: !record.ballContact
+        };
+    }
+
+    /**
+     * Parse drop records JSON (copied or exported from the page's Replay panel, or a
+     * proofs file): an array of records, or an object with a `drops` array
+     * @param {string} json - File or clipboard contents
+     * @returns {Object[]} Records, with what simulateReplay() needs checked and layouts validated
+     * @throws {Error} If the JSON is malformed or a record cannot be replayed
+     */
+    function parseDropRecords(json) {
+        let parsed;
+        try {
+            parsed = JSON.parse(json);
+        } catch (err) {
+            throw new Error(`Drop records are not valid JSON: ${err.message}`);
+        }
+        const records = Array.isArray(parsed) ? parsed : parsed && parsed.drops;
+        if (!Array.isArray(records)) {
+            throw new Error('Expected an array of drop records or { drops: [...] }');
+        }
+        return records.map((record, i) => {
+            const what = `Drop ${i + 1}`;
+            if (!record || typeof record !== 'object') throw new Error(`${what} is not an object`);
+            ['seed', 'ballRadius', 'width', 'height'].forEach(key => readNumber(record, key, what));
+            if (!record.layout) {
+                readNumber(record, 'rows', what);
+                return { ...record };
+            }
+            return { ...record, layout: validateLayout(record.layout) };
+        });
+    }
+
+    /**
+     * Web Crypto's SubtleCrypto (browsers in a secure context, workers, Node 19+)
+     * @throws {Error} If the platform has none
+     */
+    function getSubtleCrypto() {
+        if (typeof crypto === 'undefined' || !crypto.subtle) throw new Error('Web Crypto API is not available');
+        return crypto.subtle;
+    }
+
+    function toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Fresh secret server seed (hex) from the platform's cryptographic random source
+     * @returns {string}
+     */
+    function createServerSeed() {
+        getSubtleCrypto();
+        return toHex(crypto.getRandomValues(new Uint8Array(SERVER_SEED_BYTES)));
+    }
+
+    /**
+     * Commitment to a server seed: the hex SHA-256 of its text
+     * @param {string} serverSeed - Server seed
+     * @returns {Promise<string>}
+     */
+    async function hashServerSeed(serverSeed) {
+        const digest = await getSubtleCrypto().digest('SHA-256', new TextEncoder().encode(serverSeed));
+        return toHex(digest);
+    }
+
+    /**
+     * Drop seeds for consecutive nonces of a server seed / client seed pair
+     * @param {string} serverSeed - Server seed (the HMAC key)
+     * @param {string} clientSeed - Client seed
+     * @param {number} firstNonce - Nonce of the first seed
+     * @param {number} count - Number of seeds
+     * @returns {Promise<number[]>} Unsigned 32-bit seeds for createBall() records
+     */
+    async function deriveDropSeeds(serverSeed, clientSeed, firstNonce, count) {
+        const subtle = getSubtleCrypto();
+        const encoder = new TextEncoder();
+        const key = await subtle.importKey(
+            'raw', encoder.encode(serverSeed), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+        );
+        const seeds = [];
+        for (let i = 0; i < count; i++) {
+            const mac = await subtle.sign('HMAC', key, encoder.encode(`${clientSeed}:${firstNonce + i}`));
+            seeds.push(new DataView(mac).getUint32(0));
+        }
+        return seeds;
+    }
+
+    /**
+     * Check a provably-fair drop against its revealed server seed: the seed must match
+     * the commitment, the record's seed must be the one it derives, and the replay of
+     * the derived seed gives the bucket and payout. Status:
+     *   'valid'         all three hold
+     *   'invalid'       the commitment or the seed does not match, or a pass-through replay lands elsewhere
+     *   'unreplayable'  commitment and seed match, but the drop was made with ball contact and its
+     *                   replay (without the neighbours) lands elsewhere
+     * @param {Object} record - Drop record with fairness { serverSeedHash, clientSeed, nonce }
+     * @param {string} serverSeed - The revealed server seed
+     * @returns {Promise<Object>} { status, commitmentMatches, seedMatches, seed, bucketIndex, multiplier,
+     *                              payout, outcome, matches, exact } (see simulateReplay())
+     */
+    async function verifyDrop(record, serverSeed) {
+        const { fairness } = record;
+        if (!fairness) throw new Error('Drop has no provably-fair data');
+        const commitmentMatches = await hashServerSeed(serverSeed) === fairness.serverSeedHash;
+        const [seed] = await deriveDropSeeds(serverSeed, fairness.clientSeed, fairness.nonce, 1);
+        const replay = simulateReplay({ ...record, seed });
+        const payout = replay.outcome === 'refunded' ? record.bet
+            : replay.multiplier !== null ? record.bet * replay.multiplier : null;
+        const seedMatches = seed === record.seed;
+        let status = 'valid';
+        if (!commitmentMatches || !seedMatches || (!replay.matches && replay.exact)) {
+            status = 'invalid';
+        } else if (!replay.matches) {
+            status = 'unreplayable';
+        }
+        return {
+            ...replay,
+            status,
+            commitmentMatches,
+            seedMatches,
+            seed,
+            payout
+        };
+    }
+
+    /**
+     * Batch of drops on a private engine, advanced a slice at a time
+     * Per-drop seeds come from engine.random (the page derives its seeds with
+     * deriveDropSeeds() instead), so a batch is reproducible from its seed.
+     * Lost balls follow checkLostBall(): refunded balls are left out of the
+     * histogram, assigned ones are counted. A contact-mode drop waits while its
+     * spawn point is covered (spawnBlockers)
+     * @param {Object} options - { width, height, layout, balls, seed, size (percent of the gap),
+     *                           ballContact, rate (drops per simulated second with contact),
+     *                           material (key of MATERIALS), materialPairs (false: per-body rule only) }
+     * @returns {Object} { data, histogram, dropped, refunded, assigned, steps, done, advance(maxSteps) }
+     */
+    function createBatchSimulation(options) {
+        const { width, height, layout, balls, seed, size, ballContact, rate, material, materialPairs } = options;
+        const simEngine = new PhysicsEngine({ gravity: GRAVITY, seed });
+        const data = buildLevel(simEngine, { width, height, layout });
+        configureBallContact(simEngine, ballContact);
+        if (materialPairs === false) simEngine.clearMaterialPairs();
+        const ballRadius = data.gap * (size / 100);
+        const dropInterval = ballContact ? Math.max(1, Math.round(60 / rate)) : 1;
+        const inFlight = new Set();
+        let held = null;  // Ball waiting for its spawn point to clear (contact mode)
+
+        const batch = {
+            data,
+            histogram: new Array(data.numBuckets).fill(0),
+            dropped: 0,
+            refunded: 0,
+            assigned: 0,
+            steps: 0,
+            done: balls <= 0,
+
+            /**
+             * Run up to maxSteps engine steps (or until every ball is down)
+             * @returns {boolean} true once the batch is complete
+             */
+            advance(maxSteps = Infinity) {
+                for (let i = 0; i < maxSteps && !batch.done; i++) {
+                    // One new ball per drop interval while under the in-flight cap, held
+                    // back while the pile in the chute covers its spawn point
+                    if (!held && batch.dropped < balls && inFlight.size < MAX_IN_FLIGHT && batch.steps % dropInterval === 0) {
+                        const record = { seed: simEngine.random.nextUint32(), rows: data.rows, ballRadius, bet: 1, ballContact, material };
+                        held = createBall(data, record);
+                    }
+                    const blockers = held ? spawnBlockers(simEngine, held) : [];
+                    blockers.forEach(other => simEngine.wakeBody(other));
+                    if (held && blockers.length === 0) {
+                        const ball = simEngine.addBody(held);
+                        ball.plugin.spawnStep = simEngine.stepCount;
+                        inFlight.add(ball);
+                        batch.dropped++;
+                        held = null;
+                    }
+
+                    simEngine.step(simEngine.fixedDeltaTime);
+                    batch.steps++;
+
+                    inFlight.forEach(ball => {
+                        const lost = checkLostBall(ball, data, simEngine.stepCount);
+                        if (!lost) return;
+                        if (lost.outcome === 'refunded') {
+                            batch.refunded++;
+                        } else {
+                            batch.histogram[lost.bucketIndex]++;
+                            batch.assigned++;
+                        }
+                        inFlight.delete(ball);
+                        simEngine.removeBody(ball);
+                    });
+
+                    batch.done = batch.dropped >= balls && inFlight.size === 0;
+                }
+                return batch.done;
+            }
+        };
+
+        simEngine.onCollision(event => {
+            const landing = getLanding(event);
+            if (!landing) return;
+            landing.ball.plugin.active = false;
+            batch.histogram[landing.sensor.plugin.bucketIndex]++;
+            inFlight.delete(landing.ball);
+            simEngine.removeBody(landing.ball);
+        });
+
+        return batch;
+    }
+
+    return {
+        RISK_LEVELS, DEFAULT_RISK, TARGET_RTP, GRAVITY, BALL_TIMEOUT_STEPS, LAYOUT_VERSION, MIN_ROWS, MAX_ROWS,
+        SPECIAL_OBJECTS, CATEGORIES, PEG_IMPACT_THRESHOLD, BALL_STATE_STRIDE, MATERIALS, DEFAULT_MATERIAL, BOARD_MATERIAL,
+        binomialProbabilities, bucketProbabilities, modelProbabilities, chiSquareTest, expectedRtp, generateMultipliers, resampleMultipliers, createLayout, clampPeg, validateLayout, parseLayout,
+        layoutHasMotion,
+        buildLevel, configureBallContact, createBall, spawnBlockers, clampAim, dropFormation, getLanding, getPegImpact, writeBallStates, readBallState,
+        nearestBucket, checkLostBall, simulateReplay, parseDropRecords, createBatchSimulation,
+        createServerSeed, hashServerSeed, deriveDropSeeds, verifyDrop
+    };
+})();
+
+// Export for use in the game and in Node tooling
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlinkoBoard;
+} else if (typeof self !== 'undefined') {
+    // Browser (and Web Worker) global exports
+    self.PlinkoBoard = PlinkoBoard;
+}
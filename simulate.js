@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+/**
+ * Headless Plinko Simulation Runner
+ * Drops N balls through the real boards at full speed (engine.step() in a tight
+ * loop, no canvas, no render loop) and reports the bucket histogram, the
+ * empirical return-to-player (RTP) of each multiplier table and its variance.
+ *
+ * Usage:
+ *   node simulate.js [--rows 8,12,16] [--risk low,medium,high] [--rtp 0.99]
+ *                    [--balls 10000] [--seed 1] [--size 35]
+ *                    [--contact off,on] [--rate 10] [--material steel,rubber,glass,wood] [--pairs on,off]
+ *                    [--width 1000] [--height 800] [--format json|csv] [--out file]
+ *                    [--layout board.json]
+ *   node simulate.js --benchmark 1,20,50,100 [--steps 600] [--rows ...] [--contact ...] [--material ...]
+ *   node simulate.js --verify proofs.json [--format json|csv] [--out file]
+ *
+ * RTP is the mean payout per unit bet (mean multiplier); 1.0 means break-even.
+ * Variance is the per-ball variance of the multiplier, so the standard error of
+ * the RTP estimate is sqrt(variance / balls).
+ *
+ * Standard boards use the table generated for each --risk level with target
+ * RTP --rtp. The generator prices it with the bucket probabilities measured on
+ * the standard board with the default ball (bucketProbabilities), so every board
+ * also reports the RTP under that model and how far the simulated RTP is from it
+ * in standard errors (rtpZ): |rtpZ| above ~3 means the physics no longer produces
+ * the distribution the table was built for (another ball, or a physics change
+ * since the measurement). The bucket histogram itself is checked with a
+ * chi-square goodness-of-fit test against the same model (chiSquare, chiSquareDf,
+ * pValue); a tiny pValue means the same thing. For a --layout board the model is
+ * modelProbabilities() of its own pegs.
+ *
+ * With --contact on, balls collide with each other, so outcomes depend on how
+ * densely they are dropped: balls are then released at --rate drops per
+ * simulated second, like holding the drop button with the Auto Speed slider.
+ * A drop whose spawn point is covered by the pile backed up in the chute waits
+ * until it clears (spawnBlockers), as on the page.
+ * Pass --contact off,on to compare both distributions in one run.
+ *
+ * --material drops balls of the given MATERIALS presets (steel is the page's default
+ * ball), one run per material, to compare how the bounce model moves the payout curve.
+ * Materials other than steel touch the board with the coefficients of the material
+ * pair table; --pairs off drops the table so every contact combines the two bodies'
+ * own values (lower restitution, mean friction), and --pairs on,off runs both.
+ *
+ * --layout runs a board saved from the page's editor instead of the standard
+ * boards (its row count replaces --rows, its multipliers replace --risk).
+ *
+ * Lost balls follow the page's rule (checkLostBall): a ball that escapes the
+ * board is refunded and left out of the statistics, a ball still in play after
+ * the timeout is assigned to the nearest bucket and counted like a landing.
+ *
+ * --benchmark N1,N2,... times the engine instead: for each ball count it keeps
+ * N balls in flight on each board (a ball that lands or is lost is replaced by a
+ * new drop, one drop per step, or one per --rate interval with contact on),
+ * warms up, then times --steps calls of engine.step() and reports the mean, p95
+ * and worst milliseconds per step, steps per second and the mean number of
+ * balls actually in flight (a ball count above what the drop rate can sustain
+ * is capped by how long balls take to fall). Drops, removals and lost-ball
+ * checks happen outside the timed calls.
+ *
+ * --verify checks provably-fair drops instead, from a proofs file exported by the
+ * page's Fair panel ({ revealed: [server seeds], drops: [drop records] }). Each
+ * drop whose server seed has been revealed is checked with verifyDrop(): the seed
+ * matches its published SHA-256, the drop's seed is the HMAC it derives, and the
+ * replay lands in the recorded bucket. Drops of a seed still in use are listed as
+ * unrevealed. The exit code is 1 if any drop is invalid.
+ */
+
+const fs = require('fs');
+const { PhysicsEngine } = require('./physics-engine.js');
+const {
+    RISK_LEVELS, DEFAULT_RISK, TARGET_RTP, GRAVITY, MIN_ROWS, MAX_ROWS, MATERIALS, DEFAULT_MATERIAL,
+    bucketProbabilities, modelProbabilities, chiSquareTest, createLayout, parseLayout, createBatchSimulation,
+    buildLevel, configureBallContact, createBall, spawnBlockers, getLanding, checkLostBall, verifyDrop
+} = require('./plinko-board.js');
+
+const BENCHMARK_WARMUP_STEPS = 300;  // Untimed steps before measuring (fills the board, warms the JIT)
+
+const DEFAULTS = {
+    rows: [8, 12, 16],
+    risk: [DEFAULT_RISK],  // Risk levels to generate tables for
+    rtp: TARGET_RTP,       // Target RTP of the generated tables
+    balls: 10000,
+    seed: 1,
+    size: 35,          // Ball size in percent of the peg gap (same as the page's slider)
+    contact: ['off'],  // Ball-to-ball contact modes to run
+    rate: 10,          // Drops per simulated second when contact is on
+    material: [DEFAULT_MATERIAL],  // Ball materials to run (keys of MATERIALS)
+    pairs: ['on'],     // Material pair table modes to run
+    width: 1000,
+    height: 800,
+    format: 'json',
+    out: null,
+    layout: null,      // Path to a layout JSON file
+    benchmark: null,   // Ball counts to time engine.step() with, instead of simulating
+    steps: 600,        // Timed steps per benchmark run
+    verify: null       // Path to a provably-fair proofs file to verify, instead of simulating
+};
+
+/**
+ * Simulate `balls` drops on one board
+ * Per-drop seeds come from engine.random (uniform 32-bit seeds, like the page's
+ * provably-fair ones), so a run is reproducible from its seed and every drop could
+ * be replayed individually
+ * @param {Object} options - { rows, risk, rtp, balls, seed, size, width, height, ballContact, rate, layout,
+ *                           material, materialPairs }
+ * @returns {Object} Histogram and payout statistics for the board
+ */
+function simulateBoard(options) {
+    const { rows, risk, rtp } = options;
+    const layout = options.layout || createLayout(rows, risk, rtp);
+    const batch = createBatchSimulation({ ...options, layout });
+    batch.advance();
+
+    return {
+        ...summarize(batch.data.mults, batch.histogram, modelProbabilities(layout)),
+        rows: batch.data.rows,
+        risk: options.layout ? null : risk,
+        ballContact: options.ballContact,
+        material: options.material,
+        materialPairs: options.materialPairs,
+        refunded: batch.refunded,
+        assigned: batch.assigned,
+        steps: batch.steps
+    };
+}
+
+/**
+ * Time engine.step() with `balls` balls kept in flight on one board
+ * @param {Object} options - { rows, risk, rtp, balls, steps, seed, size, width, height, ballContact, rate, layout,
+ *                           material, materialPairs }
+ * @returns {Object} { rows, risk, ballContact, material, balls, meanBalls, steps, msPerStep, p95MsPerStep,
+ *                     maxMsPerStep, stepsPerSecond }
+ */
+function benchmarkBoard(options) {
+    const { rows, risk, rtp, balls, steps, seed, size, width, height, ballContact, rate, material, materialPairs } = options;
+    const layout = options.layout || createLayout(rows, risk, rtp);
+    const engine = new PhysicsEngine({ gravity: GRAVITY, seed });
+    const data = buildLevel(engine, { width, height, layout });
+    configureBallContact(engine, ballContact);
+    if (materialPairs === false) engine.clearMaterialPairs();
+    const ballRadius = data.gap * (size / 100);
+    const dropInterval = ballContact ? Math.max(1, Math.round(60 / rate)) : 1;
+    const inFlight = new Set();
+    let held = null;  // Ball waiting for its spawn point to clear (contact mode)
+
+    engine.onCollision(event => {
+        const landing = getLanding(event);
+        if (!landing) return;
+        landing.ball.plugin.active = false;
+        inFlight.delete(landing.ball);
+        engine.removeBody(landing.ball);
+    });
+
+    const times = [];
+    let ballSteps = 0;
+    for (let i = 0; i < BENCHMARK_WARMUP_STEPS + steps; i++) {
+        if (!held && inFlight.size < balls && i % dropInterval === 0) {
+            const record = { seed: engine.random.nextUint32(), rows: data.rows, ballRadius, bet: 1, ballContact, material };
+            held = createBall(data, record);
+        }
+        const blockers = held ? spawnBlockers(engine, held) : [];
+        blockers.forEach(other => engine.wakeBody(other));
+        if (held && blockers.length === 0) {
+            const ball = engine.addBody(held);
+            ball.plugin.spawnStep = engine.stepCount;
+            inFlight.add(ball);
+            held = null;
+        }
+
+        const timed = i >= BENCHMARK_WARMUP_STEPS;
+        if (timed) ballSteps += inFlight.size;
+        const started = process.hrtime.bigint();
+        engine.step(engine.fixedDeltaTime);
+        if (timed) times.push(Number(process.hrtime.bigint() - started) / 1e6);
+
+        inFlight.forEach(ball => {
+            if (!checkLostBall(ball, data, engine.stepCount)) return;
+            inFlight.delete(ball);
+            engine.removeBody(ball);
+        });
+    }
+
+    const msPerStep = times.reduce((sum, t) => sum + t, 0) / times.length;
+    const sorted = times.slice().sort((a, b) => a - b);
+    return {
+        rows: data.rows,
+        risk: options.layout ? null : risk,
+        ballContact,
+        material,
+        materialPairs,
+        balls,
+        meanBalls: ballSteps / steps,
+        steps,
+        msPerStep,
+        p95MsPerStep: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+        maxMsPerStep: sorted[sorted.length - 1],
+        stepsPerSecond: 1000 / msPerStep
+    };
+}
+
+/**
+ * Payout statistics for a histogram of landed balls, next to the bucket
+ * probabilities the multiplier tables are generated for
+ * @param {number[]} mults - Multiplier per bucket
+ * @param {number[]} histogram - Landed ball count per bucket
+ * @param {number[]} [model] - Model probability per bucket (modelProbabilities() of the layout)
+ * @returns {Object} { balls, histogram, frequencies, model, multipliers, rtp, modelRtp,
+ *                     variance, stdError, rtpZ, chiSquare, chiSquareDf, pValue }
+ */
+function summarize(mults, histogram, model = bucketProbabilities(mults.length + 1)) {
+    const landed = histogram.reduce((sum, count) => sum + count, 0);
+    const frequencies = histogram.map(count => (landed > 0 ? count / landed : 0));
+    const rtp = frequencies.reduce((sum, p, i) => sum + p * mults[i], 0);
+    const variance = frequencies.reduce((sum, p, i) => sum + p * (mults[i] - rtp) ** 2, 0);
+    const stdError = landed > 0 ? Math.sqrt(variance / landed) : 0;
+    const modelRtp = model.reduce((sum, p, i) => sum + p * mults[i], 0);
+    const fit = chiSquareTest(histogram, model);
+    return {
+        balls: landed,
+        histogram,
+        frequencies,
+        model,
+        multipliers: mults,
+        rtp,
+        modelRtp,
+        variance,
+        stdError,
+        rtpZ: stdError > 0 ? (rtp - modelRtp) / stdError : 0,
+        chiSquare: fit ? fit.chiSquare : null,
+        chiSquareDf: fit ? fit.degreesOfFreedom : null,
+        pValue: fit ? fit.pValue : null
+    };
+}
+
+/**
+ * Render results as CSV: one line per bucket, with the board totals repeated
+ * on each line so the file can be filtered or pivoted without a second table
+ */
+function toCSV(results) {
+    const lines = [
+        'rows,risk,contact,material,pairs,bucket,multiplier,count,frequency,model,balls,refunded,assigned,' +
+        'rtp,model_rtp,variance,std_error,rtp_z,chi_square,chi_square_df,p_value'
+    ];
+    results.forEach(r => {
+        r.histogram.forEach((count, i) => {
+            lines.push([
+                r.rows, r.risk || 'layout', r.ballContact ? 'on' : 'off', r.material, r.materialPairs ? 'on' : 'off',
+                i, r.multipliers[i], count,
+                r.frequencies[i].toFixed(6), r.model[i].toFixed(6), r.balls, r.refunded, r.assigned,
+                r.rtp.toFixed(6), r.modelRtp.toFixed(6), r.variance.toFixed(6), r.stdError.toFixed(6), r.rtpZ.toFixed(2),
+                r.chiSquare === null ? '' : r.chiSquare.toFixed(2), r.chiSquareDf === null ? '' : r.chiSquareDf,
+                r.pValue === null ? '' : r.pValue.toExponential(3)
+            ].join(','));
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render benchmark results as CSV, one line per board and ball count
+ */
+function benchmarkToCSV(results) {
+    const lines = [
+        'rows,risk,contact,material,pairs,balls,mean_balls,steps,ms_per_step,p95_ms_per_step,max_ms_per_step,steps_per_second'
+    ];
+    results.forEach(r => {
+        lines.push([
+            r.rows, r.risk || 'layout', r.ballContact ? 'on' : 'off', r.material, r.materialPairs ? 'on' : 'off',
+            r.balls, r.meanBalls.toFixed(1), r.steps,
+            r.msPerStep.toFixed(4), r.p95MsPerStep.toFixed(4), r.maxMsPerStep.toFixed(4), r.stepsPerSecond.toFixed(0)
+        ].join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Verify the drops of a proofs file against its revealed server seeds
+ * @param {Object} proofs - { revealed: [{ serverSeed, serverSeedHash, clientSeed }], drops: [drop records] }
+ * @returns {Promise<Object[]>} One row per drop: its fairness data, recorded and verified outcome, status
+ */
+async function verifyProofs(proofs) {
+    const serverSeeds = new Map((proofs.revealed || []).map(entry => [entry.serverSeedHash, entry.serverSeed]));
+    const rows = [];
+    for (const record of proofs.drops || []) {
+        if (!record.fairness) continue;
+        const { serverSeedHash, clientSeed, nonce } = record.fairness;
+        const row = {
+            serverSeedHash, clientSeed, nonce, seed: record.seed, bet: record.bet,
+            recordedOutcome: record.outcome, recordedBucket: record.bucketIndex
+        };
+        const serverSeed = serverSeeds.get(serverSeedHash);
+        if (serverSeed === undefined) {
+            rows.push({ ...row, outcome: null, bucketIndex: null, multiplier: null, payout: null, status: 'unrevealed' });
+            continue;
+        }
+        const result = await verifyDrop(record, serverSeed);
+        rows.push({
+            ...row,
+            outcome: result.outcome,
+            bucketIndex: result.bucketIndex,
+            multiplier: result.multiplier,
+            payout: result.payout,
+            status: result.status
+        });
+    }
+    return rows;
+}
+
+function verifyToCSV(rows) {
+    const cell = value => (value === null || value === undefined ? '' : value);
+    const quote = text => `"${String(text).replace(/"/g, '""')}"`;  // Client seeds are free text
+    const lines = [
+        'nonce,server_seed_hash,client_seed,seed,bet,recorded_outcome,recorded_bucket,' +
+        'outcome,bucket,multiplier,payout,status'
+    ];
+    rows.forEach(r => {
+        lines.push([
+            r.nonce, r.serverSeedHash, quote(r.clientSeed), r.seed, r.bet, cell(r.recordedOutcome), cell(r.recordedBucket),
+            cell(r.outcome), cell(r.bucketIndex), cell(r.multiplier), cell(r.payout), r.status
+        ].join(','));
+    });
+    return lines.join('\n') + '\n';
+}
+
+function parseArgs(argv) {
+    const options = { ...DEFAULTS };
+    for (let i = 0; i < argv.length; i++) {
+        const key = argv[i].replace(/^--/, '');
+        const value = argv[i + 1];
+        if (!(key in DEFAULTS) || value === undefined) {
+            throw new Error(`Unknown or incomplete option: ${argv[i]}`);
+        }
+        i++;
+        if (key === 'rows' || key === 'benchmark') {
+            options[key] = value.split(',').map(Number);
+        } else if (key === 'contact' || key === 'risk' || key === 'material' || key === 'pairs') {
+            options[key] = value.split(',');
+        } else if (key === 'format' || key === 'out' || key === 'layout' || key === 'verify') {
+            options[key] = value;
+        } else {
+            options[key] = Number(value);
+        }
+    }
+    if (options.layout) {
+        options.layout = parseLayout(fs.readFileSync(options.layout, 'utf8'));
+        options.rows = [options.layout.rows];
+    }
+    options.rows.forEach(rows => {
+        if (!Number.isInteger(rows) || rows < MIN_ROWS || rows > MAX_ROWS) {
+            throw new Error(`Rows must be an integer from ${MIN_ROWS} to ${MAX_ROWS}: ${rows}`);
+        }
+    });
+    options.risk.forEach(risk => {
+        if (!RISK_LEVELS[risk]) throw new Error(`Unknown risk level: ${risk}`);
+    });
+    if (!(options.rtp > 0)) throw new Error(`Target RTP must be positive: ${options.rtp}`);
+    options.contact.forEach(mode => {
+        if (mode !== 'on' && mode !== 'off') throw new Error(`Unknown contact mode: ${mode}`);
+    });
+    options.material.forEach(material => {
+        if (!MATERIALS[material]) throw new Error(`Unknown material: ${material}`);
+    });
+    options.pairs.forEach(mode => {
+        if (mode !== 'on' && mode !== 'off') throw new Error(`Unknown material pair mode: ${mode}`);
+    });
+    (options.benchmark || []).forEach(balls => {
+        if (!Number.isInteger(balls) || balls < 1) throw new Error(`Benchmark ball counts must be positive integers: ${balls}`);
+    });
+    if (!Number.isInteger(options.steps) || options.steps < 1) {
+        throw new Error(`Steps must be a positive integer: ${options.steps}`);
+    }
+    if (options.format !== 'json' && options.format !== 'csv') {
+        throw new Error(`Unknown format: ${options.format}`);
+    }
+    return options;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+
+    if (options.verify) {
+        verifyMain(options).catch(err => {
+            console.error(err.message);
+            process.exit(1);
+        });
+        return;
+    }
+
+    // A layout brings its own multipliers, so there is nothing to generate per risk level
+    const risks = options.layout ? [null] : options.risk;
+    // Physics variants run on every board: contact mode × ball material × pair table
+    const variants = [];
+    options.contact.forEach(mode => options.material.forEach(material => options.pairs.forEach(pairs => {
+        variants.push({ mode, material, pairs, ballContact: mode === 'on', materialPairs: pairs === 'on' });
+    })));
+    const results = [];
+    options.rows.forEach(rows => {
+        risks.forEach(risk => {
+            variants.forEach(({ mode, material, pairs, ballContact, materialPairs }) => {
+                const board = `${rows} rows, ${risk ? `${risk} risk` : 'layout'}, contact ${mode}, ${material}` +
+                    (pairs === 'off' ? ', pairs off' : '');
+                if (options.benchmark) {
+                    options.benchmark.forEach(balls => {
+                        const result = benchmarkBoard({ ...options, rows, risk, balls, ballContact, material, materialPairs });
+                        console.error(
+                            `${board}, ${balls} balls ` +
+                            `(${result.meanBalls.toFixed(1)} in flight): ${result.msPerStep.toFixed(3)} ms/step, ` +
+                            `p95 ${result.p95MsPerStep.toFixed(3)} ms, max ${result.maxMsPerStep.toFixed(3)} ms, ` +
+                            `${result.stepsPerSecond.toFixed(0)} steps/s`
+                        );
+                        results.push(result);
+                    });
+                    return;
+                }
+                const started = Date.now();
+                const result = simulateBoard({ ...options, rows, risk, ballContact, material, materialPairs });
+                console.error(
+                    `${board}: ${result.balls} balls, ` +
+                    `RTP ${(result.rtp * 100).toFixed(2)}% ± ${(result.stdError * 100).toFixed(2)}% ` +
+                    `(model ${(result.modelRtp * 100).toFixed(2)}%, z ${result.rtpZ.toFixed(1)}), ` +
+                    (result.chiSquare === null ? '' :
+                        `chi-square ${result.chiSquare.toFixed(1)} (df ${result.chiSquareDf}, p ${result.pValue.toExponential(2)}), `) +
+                    `${result.refunded} refunded, ${result.assigned} assigned (${Date.now() - started} ms)`
+                );
+                results.push(result);
+            });
+        });
+    });
+
+    writeOutput(options, options.format === 'csv'
+        ? (options.benchmark ? benchmarkToCSV(results) : toCSV(results))
+        : JSON.stringify({ options, results }, null, 2) + '\n');
+}
+
+async function verifyMain(options) {
+    const proofs = JSON.parse(fs.readFileSync(options.verify, 'utf8'));
+    const rows = await verifyProofs(proofs);
+    const counts = {};
+    rows.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+    console.error(`${rows.length} drops: ` +
+        (Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'none to verify'));
+
+    writeOutput(options, options.format === 'csv'
+        ? verifyToCSV(rows)
+        : JSON.stringify({ options, results: rows }, null, 2) + '\n');
+    if (counts.invalid) process.exitCode = 1;
+}
+
+function writeOutput(options, output) {
+    if (options.out) {
+        fs.writeFileSync(options.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { simulateBoard, benchmarkBoard, summarize, toCSV, benchmarkToCSV, verifyProofs, verifyToCSV };